@@ -0,0 +1,126 @@
+import { loadKeys } from './keystore.js';
+
+const OFFSCREEN_URL = 'offscreen.html';
+
+let creatingOffscreen = null;
+
+// 팝업은 이 서비스 워커에 요청하고, 실제 작업은 오프스크린 문서가 맡는다.
+// 서비스 워커는 언제든 종료될 수 있어 작업 상태를 들고 있지 않는다.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== 'background') return false;
+  const handler = message.type === 'tab:relay' ? relayToTab : forwardToOffscreen;
+  handler(message).then(sendResponse, (e) =>
+    sendResponse({ error: e?.message || '처리 중 오류가 발생했습니다.' })
+  );
+  return true;
+});
+
+// 페이지 이미지 우클릭 메뉴. '번역해서 보기'는 결과를 페이지에 덮어 보여주고,
+// '작업에 추가'는 팝업의 다운로드 대상에만 넣는다.
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'translate', title: 'Gemini 이미지 번역', contexts: ['image', 'page'] });
+    chrome.contextMenus.create({
+      id: 'image:overlay',
+      parentId: 'translate',
+      title: '이 이미지 번역해서 보기',
+      contexts: ['image'],
+    });
+    chrome.contextMenus.create({
+      id: 'image:batch',
+      parentId: 'translate',
+      title: '이 이미지를 번역 작업에 추가',
+      contexts: ['image'],
+    });
+    chrome.contextMenus.create({
+      id: 'page:overlay',
+      parentId: 'translate',
+      title: '페이지의 모든 이미지 번역해서 보기',
+      contexts: ['image', 'page'],
+    });
+    chrome.contextMenus.create({
+      id: 'page:batch',
+      parentId: 'translate',
+      title: '페이지의 모든 이미지를 번역 작업에 추가',
+      contexts: ['image', 'page'],
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab?.id) return;
+  const target = { tabId: tab.id, frameId: info.frameId ?? 0 };
+  translateFromPage(info, tab, target).catch((e) => {
+    console.error(e);
+    relayToTab({
+      ...target,
+      payload: { type: 'page:error', message: e?.message || '페이지 이미지를 번역하지 못했습니다.' },
+    }).catch(() => {});
+  });
+});
+
+async function translateFromPage(info, tab, target) {
+  const [scope, destination] = String(info.menuItemId).split(':');
+  // 메뉴를 누를 때 받는 activeTab 권한으로 주입하므로 모든 사이트 접근 권한이 필요 없다.
+  await chrome.scripting.executeScript({
+    target: { tabId: target.tabId, frameIds: [target.frameId] },
+    files: ['content.js'],
+  });
+
+  // 잠겨 있으면 이미지를 모으기 전에 알린다.
+  const keys = await loadKeys();
+  if (!keys.length) throw new Error('팝업에서 API 키를 먼저 등록해주세요.');
+
+  const urls = scope === 'image' ? [info.srcUrl] : await relayToTab({ ...target, payload: { type: 'page:collect' } });
+  if (!urls?.length) throw new Error('번역할 만한 이미지를 찾지 못했습니다.');
+
+  await relayToTab({ ...target, payload: { type: 'page:progress', done: 0, failed: 0, total: urls.length } });
+  const response = await forwardToOffscreen({
+    type: 'page:translate',
+    ...target,
+    pageUrl: info.frameUrl || tab.url,
+    urls,
+    overlay: destination === 'overlay',
+    keys,
+  });
+  if (response?.error) throw new Error(response.error);
+}
+
+// 오프스크린 문서는 chrome.tabs를 쓸 수 없어 탭으로 가는 메시지를 여기서 대신 보낸다.
+async function relayToTab({ tabId, frameId = 0, payload }) {
+  return await chrome.tabs.sendMessage(tabId, { ...payload, target: 'content' }, { frameId });
+}
+
+async function forwardToOffscreen(message) {
+  if (message.type === 'job:query' && !(await hasOffscreenDocument())) {
+    return { activeJobId: null, stats: null, requests: [] };
+  }
+  await ensureOffscreenDocument();
+  return await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+}
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)],
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+
+  // 동시에 여러 요청이 와도 문서는 한 번만 만든다.
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ['BLOBS'],
+        justification: '팝업을 닫아도 이미지 번역 작업을 계속 처리합니다.',
+      })
+      .finally(() => {
+        creatingOffscreen = null;
+      });
+  }
+  await creatingOffscreen;
+}
@@ -0,0 +1,97 @@
+import { getCacheEntry, putCacheEntry } from './db.js';
+import {
+  buildExtractPrompt,
+  buildTranslatePrompt,
+  DEFAULT_IMAGE_MODEL,
+  DEFAULT_TEXT_MODEL,
+  resolveImageSize,
+} from './gemini.js';
+import { blobToDataUrl } from './image.js';
+import { hashBlob } from './sources.js';
+
+// 같은 입력을 두 번 돈 내고 번역하지 않도록 Gemini 응답(이미지, 텍스트 추출 모드는 JSON)을 IndexedDB에 남겨 둔다.
+// 키는 실제로 보낸 이미지(패딩·리사이즈를 마친 PNG)와 결과를 바꾸는 설정을 함께 해시한 값이다.
+
+/**
+ * @param {string} imageBase64 - 요청에 보낼 PNG Base64
+ * @param {Object} params
+ * @param {string} params.mode - 'normal' | 'saver' | 'text'
+ * @param {Object} params.imageOptions - requestGeminiImage(텍스트 추출 모드는 requestGeminiText)에 넘길 옵션
+ * @returns {Promise<string>}
+ */
+export async function buildCacheKey(imageBase64, { mode, imageOptions }) {
+  const rules = {
+    customPrompt: imageOptions.customPrompt,
+    glossary: imageOptions.glossary,
+    doNotTranslate: imageOptions.doNotTranslate,
+  };
+  if (mode === 'text') {
+    // 텍스트 추출은 출력 이미지 설정과 상관이 없다.
+    const settings = {
+      mode,
+      model: imageOptions.model || DEFAULT_TEXT_MODEL,
+      prompt: buildExtractPrompt(imageOptions.sourceLang, imageOptions.targetLang, rules),
+    };
+    return await hashBlob(new Blob([JSON.stringify(settings), '\n', imageBase64]));
+  }
+
+  const model = imageOptions.model || DEFAULT_IMAGE_MODEL;
+  // 프롬프트는 언어·프리셋·용어집이 모두 반영된 최종 문장으로 비교한다.
+  const settings = {
+    mode,
+    model,
+    imageSize: resolveImageSize(model, imageOptions.imageSize),
+    aspectRatio: imageOptions.aspectRatio || '1:1',
+    prompt: buildTranslatePrompt(imageOptions.sourceLang, imageOptions.targetLang, rules),
+  };
+  return await hashBlob(new Blob([JSON.stringify(settings), '\n', imageBase64]));
+}
+
+/**
+ * 캐시에 있으면 저장된 결과를, 없으면 request를 호출해 결과를 저장한 뒤 돌려준다.
+ * 캐시를 읽거나 쓰지 못해도 번역은 계속한다.
+ * @param {Object} context - 파이프라인 context. useCache가 false면 캐시를 건너뛰고,
+ *   refreshCache가 true면 캐시를 읽지 않고 새로 받은 결과로 덮어쓴다.
+ * @param {Object} params
+ * @param {string} params.imageBase64
+ * @param {string} params.mode
+ * @param {Object} params.imageOptions
+ * @param {() => Promise<string>} request - 실제 Gemini 요청. 이미지 data URL이나 텍스트 추출 JSON을 돌려준다.
+ * @returns {Promise<{ result: string, cached: boolean }>}
+ */
+export async function withCache(context, { imageBase64, mode, imageOptions }, request) {
+  if (context.useCache === false) return { result: await request(), cached: false };
+
+  let key = null;
+  try {
+    key = await buildCacheKey(imageBase64, { mode, imageOptions });
+    const entry = context.refreshCache ? null : await getCacheEntry(key);
+    if (entry) {
+      putCacheEntry({ ...entry, lastUsedAt: Date.now() }).catch((e) => console.error(e));
+      if (mode === 'text') return { result: await entry.blob.text(), cached: true };
+      return { result: await blobToDataUrl(entry.blob), cached: true };
+    }
+  } catch (e) {
+    console.error('번역 캐시를 읽지 못했습니다.', e);
+  }
+
+  const result = await request();
+  if (key) {
+    const blob = mode === 'text' ? new Blob([result], { type: 'application/json' }) : dataUrlToBlob(result);
+    const now = Date.now();
+    putCacheEntry({ key, blob, size: blob.size, mode, model: imageOptions.model, createdAt: now, lastUsedAt: now }).catch(
+      (e) => console.error('번역 캐시에 저장하지 못했습니다.', e)
+    );
+  }
+  return { result, cached: false };
+}
+
+// 응답 MIME 타입을 Blob에 남겨야 캐시에서 꺼낸 data URL도 같은 타입이 된다.
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  const type = header.match(/^data:([^;]+)/)?.[1] || 'image/png';
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
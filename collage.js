@@ -0,0 +1,194 @@
+import { SHEET_GAP } from './sheets.js';
+
+// 효율 모드 응답 검증. Gemini가 시트를 다른 크기로 돌려주거나 밀어 그려도
+// 원본 시트의 검은 경계선을 기준으로 위치를 다시 맞추고, 타일마다 얼마나 잘 맞는지 점수를 매긴다.
+
+// 이 밝기보다 어두운 픽셀을 경계선 후보로 본다.
+const DARK_LUMA = 64;
+// 시트 전체 이동은 이 범위 안에서, 타일별 보정은 전체 이동 기준 LOCAL_SHIFT 안에서 찾는다.
+const MAX_SHIFT = 96;
+const LOCAL_SHIFT = 12;
+// 타일 내용 비교에 쓰는 축소 크기
+const THUMB_SIZE = 24;
+// 경계선 보존율과 내용 유사도 중 낮은 쪽이 이 값보다 낮으면 잘못 잘린 것으로 본다.
+export const ALIGNMENT_THRESHOLD = 0.4;
+
+/**
+ * 번역된 시트를 원본 시트에 맞춰 정렬하고 타일별 자를 위치와 정렬 점수를 계산한다.
+ * @param {CanvasImageSource & { width: number, height: number }} translatedImg - Gemini가 돌려준 시트
+ * @param {{ canvas: HTMLCanvasElement, placements: Object[] }} sheet - buildSheets가 그린 원본 시트
+ * @returns {{ canvas: HTMLCanvasElement, offsetX: number, offsetY: number,
+ *   checks: Array<{ x: number, y: number, border: number|null, similarity: number, score: number, ok: boolean }> }}
+ *   canvas는 시트 크기로 맞춘 번역 결과, checks는 placements와 같은 순서
+ */
+export function inspectCollage(translatedImg, sheet) {
+  // 크기가 다르게 오면 먼저 시트 크기로 늘리거나 줄여 좌표계를 맞춘다.
+  const { width, height } = sheet.canvas;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(translatedImg, 0, 0, width, height);
+
+  const original = readDarkMask(sheet.canvas.getContext('2d', { willReadFrequently: true }), width, height);
+  const translated = readDarkMask(ctx, width, height);
+  const offsetX = findShift(original.columns, translated.columns);
+  const offsetY = findShift(original.rows, translated.rows);
+  const integral = buildIntegral(translated.mask, width, height);
+
+  const checks = sheet.placements.map((placement) => {
+    const aligned = alignPlacement(integral, placement, offsetX, offsetY);
+    const similarity = compareRegions(sheet.canvas, placement, canvas, { ...placement, x: aligned.x, y: aligned.y });
+    const score = aligned.border == null ? similarity : Math.min(aligned.border, similarity);
+    return { ...aligned, similarity, score, ok: score >= ALIGNMENT_THRESHOLD };
+  });
+
+  return { canvas, offsetX, offsetY, checks };
+}
+
+function readDarkMask(ctx, width, height) {
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const mask = new Uint8Array(width * height);
+  const columns = new Float64Array(width);
+  const rows = new Float64Array(height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = (y * width + x) * 4;
+      if (luma(data[i], data[i + 1], data[i + 2]) < DARK_LUMA) {
+        mask[y * width + x] = 1;
+        columns[x] += 1;
+        rows[y] += 1;
+      }
+    }
+  }
+  return { mask, columns, rows };
+}
+
+// 어두운 픽셀의 열·행 분포를 서로 밀어 보며 가장 잘 겹치는 이동량을 찾는다.
+function findShift(expected, actual) {
+  let bestShift = 0;
+  let bestScore = -Infinity;
+  for (let shift = -MAX_SHIFT; shift <= MAX_SHIFT; shift += 1) {
+    let score = 0;
+    for (let i = Math.max(0, -shift); i < Math.min(expected.length, expected.length - shift); i += 1) {
+      score += expected[i] * actual[i + shift];
+    }
+    // 점수가 같으면 덜 움직인 쪽을 고른다.
+    if (score > bestScore || (score === bestScore && Math.abs(shift) < Math.abs(bestShift))) {
+      bestScore = score;
+      bestShift = shift;
+    }
+  }
+  return bestShift;
+}
+
+function buildIntegral(mask, width, height) {
+  const stride = width + 1;
+  const sums = new Int32Array(stride * (height + 1));
+  for (let y = 0; y < height; y += 1) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x += 1) {
+      rowSum += mask[y * width + x];
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+    }
+  }
+  return { sums, width, height };
+}
+
+// 시트 밖으로 나간 부분은 잘라낸 사각형의 어두운 픽셀 수와 넓이
+function sumRect(integral, x0, y0, x1, y1) {
+  const { sums, width, height } = integral;
+  const stride = width + 1;
+  const left = clamp(x0, 0, width);
+  const top = clamp(y0, 0, height);
+  const right = clamp(x1, 0, width);
+  const bottom = clamp(y1, 0, height);
+  if (right <= left || bottom <= top) return { dark: 0, area: 0 };
+  const dark =
+    sums[bottom * stride + right] -
+    sums[top * stride + right] -
+    sums[bottom * stride + left] +
+    sums[top * stride + left];
+  return { dark, area: (right - left) * (bottom - top) };
+}
+
+/**
+ * 타일을 두른 경계선 테두리가 가장 어둡게 겹치는 위치를 찾는다.
+ * border는 그 위치에서 테두리 중 어두운 픽셀 비율이고, 시트 전체를 채운 타일처럼 테두리가 없으면 null.
+ */
+function alignPlacement(integral, placement, offsetX, offsetY) {
+  const ring = SHEET_GAP / 2;
+  let best = { x: placement.x + offsetX, y: placement.y + offsetY, border: null };
+  let bestDark = -1;
+  let bestDistance = Infinity;
+
+  for (let dy = -LOCAL_SHIFT; dy <= LOCAL_SHIFT; dy += 1) {
+    for (let dx = -LOCAL_SHIFT; dx <= LOCAL_SHIFT; dx += 1) {
+      const x = placement.x + offsetX + dx;
+      const y = placement.y + offsetY + dy;
+      const outer = sumRect(integral, x - ring, y - ring, x + placement.width + ring, y + placement.height + ring);
+      const inner = sumRect(integral, x, y, x + placement.width, y + placement.height);
+      const area = outer.area - inner.area;
+      if (!area) continue;
+      const ratio = (outer.dark - inner.dark) / area;
+      // 같은 비율이면 전체 이동 위치에 더 가까운 쪽을 고른다.
+      const distance = Math.abs(dx) + Math.abs(dy);
+      if (ratio > bestDark || (ratio === bestDark && distance < bestDistance)) {
+        bestDark = ratio;
+        bestDistance = distance;
+        best = { x, y, border: ratio };
+      }
+    }
+  }
+  return best;
+}
+
+// 두 영역을 작게 줄인 밝기 값의 상관계수(0~1). 글자가 바뀌어도 사진·배경 구도는 남아 있어야 한다.
+function compareRegions(sourceCanvas, sourceRect, targetCanvas, targetRect) {
+  const a = readThumbnail(sourceCanvas, sourceRect);
+  const b = readThumbnail(targetCanvas, targetRect);
+  let meanA = 0;
+  let meanB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= a.length;
+  meanB /= b.length;
+
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    cov += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) ** 2;
+    varB += (b[i] - meanB) ** 2;
+  }
+  // 단색 영역은 모양을 비교할 수 없으니 평균 밝기 차이로 판단한다.
+  if (!varA || !varB) return 1 - Math.min(1, Math.abs(meanA - meanB) / 255);
+  return Math.max(0, cov / Math.sqrt(varA * varB));
+}
+
+function readThumbnail(canvas, rect) {
+  const thumb = document.createElement('canvas');
+  thumb.width = THUMB_SIZE;
+  thumb.height = THUMB_SIZE;
+  const ctx = thumb.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, THUMB_SIZE, THUMB_SIZE);
+  ctx.drawImage(canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, THUMB_SIZE, THUMB_SIZE);
+  const { data } = ctx.getImageData(0, 0, THUMB_SIZE, THUMB_SIZE);
+  const values = new Float64Array(THUMB_SIZE * THUMB_SIZE);
+  for (let i = 0; i < values.length; i += 1) {
+    values[i] = luma(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+  return values;
+}
+
+function luma(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
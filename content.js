@@ -0,0 +1,176 @@
+// 우클릭 메뉴로 페이지 이미지를 번역할 때 background.js가 주입하는 콘텐츠 스크립트.
+// 이미지 주소를 모으고, 확장 프로그램이 직접 받지 못한 이미지를 대신 받고, 번역 결과를 페이지에 덮어 보여준다.
+// 메뉴를 누를 때마다 다시 주입되므로 리스너는 한 번만 등록한다.
+(() => {
+  if (window.__geminiTranslatorLoaded) return;
+  window.__geminiTranslatorLoaded = true;
+
+  // 아이콘·버튼 이미지는 건너뛴다.
+  const MIN_IMAGE_SIDE = 150;
+  // 지연 로딩 이미지가 실제 주소를 넣어 두는 속성들. 타오바오·1688 상세 페이지도 여기 해당한다.
+  const LAZY_ATTRIBUTES = ['data-src', 'data-ks-lazyload', 'data-lazy-src', 'data-original'];
+
+  // 덮어쓴 이미지 → 원래 src/srcset
+  const swapped = new Map();
+  const panel = { root: null, text: null, toggle: null, showingOriginal: false };
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.target !== 'content') return false;
+    handleMessage(message).then(sendResponse, (e) =>
+      sendResponse({ error: e?.message || '처리 중 오류가 발생했습니다.' })
+    );
+    return true;
+  });
+
+  async function handleMessage(message) {
+    switch (message.type) {
+      case 'page:collect':
+        return collectImageUrls();
+      case 'page:fetch':
+        return { dataUrl: await fetchAsDataUrl(message.url) };
+      case 'page:progress':
+        renderProgress(message);
+        return { ok: true };
+      case 'page:result':
+        showTranslated(message.url, message.dataUrl);
+        return { ok: true };
+      case 'page:error':
+        showPanel(message.message);
+        return { ok: true };
+      default:
+        throw new Error(`알 수 없는 요청입니다: ${message.type}`);
+    }
+  }
+
+  function collectImageUrls() {
+    const urls = new Set();
+    for (const img of document.images) {
+      const url = getImageUrl(img);
+      if (!url) continue;
+      // 아직 불러오지 않은 지연 로딩 이미지는 크기를 알 수 없으니 일단 포함한다.
+      const loaded = img.complete && img.naturalWidth > 0 && !isPlaceholder(img.currentSrc || img.src);
+      if (loaded && Math.min(img.naturalWidth, img.naturalHeight) < MIN_IMAGE_SIDE) continue;
+      urls.add(url);
+    }
+    return Array.from(urls);
+  }
+
+  function getImageUrl(img) {
+    if (img.dataset.geminiOriginal) return img.dataset.geminiOriginal;
+    const current = img.currentSrc || img.src;
+    if (current && !isPlaceholder(current)) return absoluteUrl(current);
+    const lazy = LAZY_ATTRIBUTES.map((name) => img.getAttribute(name)).find(Boolean);
+    return lazy ? absoluteUrl(lazy) : null;
+  }
+
+  // 지연 로딩 자리표시로 쓰는 1px gif 같은 data URL
+  function isPlaceholder(src) {
+    return src.startsWith('data:') && src.length < 200;
+  }
+
+  function absoluteUrl(value) {
+    try {
+      return new URL(value.trim(), location.href).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function fetchAsDataUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`이미지를 받지 못했습니다. (HTTP ${response.status})`);
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('이미지를 읽지 못했습니다.'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function showTranslated(url, dataUrl) {
+    for (const img of document.images) {
+      if (getImageUrl(img) !== url) continue;
+      if (!swapped.has(img)) {
+        swapped.set(img, { src: img.getAttribute('src'), srcset: img.getAttribute('srcset') });
+        img.dataset.geminiOriginal = url;
+      }
+      swapped.get(img).translated = dataUrl;
+      if (!panel.showingOriginal) applySource(img, dataUrl, null);
+    }
+    renderToggle();
+  }
+
+  function applySource(img, src, srcset) {
+    if (srcset) {
+      img.setAttribute('srcset', srcset);
+    } else {
+      img.removeAttribute('srcset');
+    }
+    if (src) img.setAttribute('src', src);
+  }
+
+  function toggleOriginal() {
+    panel.showingOriginal = !panel.showingOriginal;
+    swapped.forEach((saved, img) => {
+      if (panel.showingOriginal) {
+        applySource(img, saved.src, saved.srcset);
+      } else {
+        applySource(img, saved.translated, null);
+      }
+    });
+    renderToggle();
+  }
+
+  function renderProgress({ done, failed, total, overlay, notice }) {
+    const lines = [`Gemini 번역 ${done + failed}/${total}` + (failed ? ` (실패 ${failed})` : '')];
+    if (done + failed === total) {
+      lines.push(overlay ? '번역을 마쳤습니다.' : '번역을 마쳤습니다. 팝업에서 다운로드할 수 있습니다.');
+    }
+    if (notice) lines.push(notice);
+    showPanel(lines.join('\n'));
+  }
+
+  // 페이지 CSS의 영향을 받지 않도록 shadow DOM 안에 알림 패널을 그린다.
+  function showPanel(text) {
+    if (!panel.root) {
+      const host = document.createElement('div');
+      host.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;';
+      const shadow = host.attachShadow({ mode: 'open' });
+      shadow.innerHTML = `
+        <style>
+          .panel { font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background:#111827; color:#f9fafb;
+            border-radius: 10px; padding: 10px 12px; box-shadow: 0 6px 20px rgba(0,0,0,0.25); max-width: 320px; }
+          .text { white-space: pre-line; margin-bottom: 8px; }
+          .row { display:flex; gap:6px; justify-content:flex-end; }
+          button { font: inherit; font-weight: 700; border:none; border-radius: 6px; padding: 4px 10px; cursor:pointer; background:#2563eb; color:#fff; }
+          button.secondary { background:#374151; }
+          [hidden] { display:none !important; }
+        </style>
+        <div class="panel">
+          <div class="text"></div>
+          <div class="row">
+            <button class="toggle" hidden></button>
+            <button class="secondary close">닫기</button>
+          </div>
+        </div>`;
+      panel.text = shadow.querySelector('.text');
+      panel.toggle = shadow.querySelector('.toggle');
+      panel.toggle.addEventListener('click', toggleOriginal);
+      shadow.querySelector('.close').addEventListener('click', () => {
+        host.remove();
+        panel.root = null;
+      });
+      document.documentElement.appendChild(host);
+      panel.root = host;
+    }
+    panel.text.textContent = text;
+    renderToggle();
+  }
+
+  function renderToggle() {
+    if (!panel.toggle) return;
+    panel.toggle.hidden = swapped.size === 0;
+    panel.toggle.textContent = panel.showingOriginal ? '번역 보기' : '원본 보기';
+  }
+})();
@@ -0,0 +1,302 @@
+const DB_NAME = 'gemini-translator';
+const DB_VERSION = 4;
+// Gemini API 일일 한도는 태평양 시간 자정에 초기화된다.
+const QUOTA_DAY_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/Los_Angeles',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+let dbPromise = null;
+
+/**
+ * 작업(jobs), 이미지별 항목(items), 일별 지출과 키 한도 기록(spend), 실행 전 대기열(queue), 번역 캐시(cache)를 담는 IndexedDB를 연다.
+ * 팝업, 오프스크린 문서 모두 확장 프로그램 origin이 같으므로 같은 DB를 본다.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('jobs')) {
+        db.createObjectStore('jobs', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('items')) {
+        const items = db.createObjectStore('items', { keyPath: 'id' });
+        items.createIndex('jobId', 'jobId');
+      }
+      if (!db.objectStoreNames.contains('spend')) {
+        db.createObjectStore('spend', { keyPath: 'date' });
+      }
+      if (!db.objectStoreNames.contains('queue')) {
+        db.createObjectStore('queue', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('cache')) {
+        db.createObjectStore('cache', { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(new Error('작업 저장소를 열지 못했습니다.'));
+    };
+  });
+
+  return dbPromise;
+}
+
+export async function putJob(job) {
+  await runTransaction('jobs', 'readwrite', (store) => store.put(job));
+}
+
+export async function getJob(jobId) {
+  return await runTransaction('jobs', 'readonly', (store) => store.get(jobId));
+}
+
+/**
+ * 가장 최근에 만든 작업을 반환한다. 없으면 null.
+ */
+export async function getLatestJob() {
+  const jobs = await runTransaction('jobs', 'readonly', (store) => store.getAll());
+  if (!jobs?.length) return null;
+  return jobs.reduce((latest, job) => (job.createdAt > latest.createdAt ? job : latest));
+}
+
+/**
+ * 작업에 속한 항목을 index 순서대로 반환한다.
+ */
+export async function listItems(jobId) {
+  const items = await runTransaction('items', 'readonly', (store) =>
+    store.index('jobId').getAll(IDBKeyRange.only(jobId))
+  );
+  return (items || []).sort((a, b) => a.index - b.index);
+}
+
+export async function putItems(items) {
+  await runTransaction('items', 'readwrite', (store) => {
+    items.forEach((item) => store.put(item));
+  });
+}
+
+/**
+ * 항목 일부 필드만 갱신한다. 읽기와 쓰기를 한 트랜잭션에서 처리한다.
+ */
+export async function updateItem(itemId, patch) {
+  await runTransaction('items', 'readwrite', (store) => {
+    const request = store.get(itemId);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...patch });
+    };
+  });
+}
+
+/**
+ * 작업과 그 항목(원본/결과 Blob 포함)을 모두 지운다.
+ */
+export async function deleteJob(jobId) {
+  const db = await openDb();
+  const tx = db.transaction(['jobs', 'items'], 'readwrite');
+  tx.objectStore('jobs').delete(jobId);
+  const index = tx.objectStore('items').index('jobId');
+  const cursorRequest = index.openKeyCursor(IDBKeyRange.only(jobId));
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    tx.objectStore('items').delete(cursor.primaryKey);
+    cursor.continue();
+  };
+  await transactionDone(tx);
+}
+
+export async function listJobs() {
+  return (await runTransaction('jobs', 'readonly', (store) => store.getAll())) || [];
+}
+
+/**
+ * 대기열 항목을 index 순서대로 반환한다.
+ */
+export async function listQueue() {
+  const entries = await runTransaction('queue', 'readonly', (store) => store.getAll());
+  return (entries || []).sort((a, b) => a.index - b.index);
+}
+
+export async function putQueueEntries(entries) {
+  await runTransaction('queue', 'readwrite', (store) => {
+    entries.forEach((entry) => store.put(entry));
+  });
+}
+
+export async function deleteQueueEntries(ids) {
+  await runTransaction('queue', 'readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
+
+export async function clearQueue() {
+  await runTransaction('queue', 'readwrite', (store) => store.clear());
+}
+
+export async function getCacheEntry(key) {
+  return await runTransaction('cache', 'readonly', (store) => store.get(key));
+}
+
+export async function putCacheEntry(entry) {
+  await runTransaction('cache', 'readwrite', (store) => store.put(entry));
+}
+
+/**
+ * 캐시 항목 수와 결과 이미지 용량 합계. Blob은 읽지 않고 저장해 둔 size만 더한다.
+ * @returns {Promise<{ count: number, bytes: number, oldestAt: number|null }>}
+ */
+export async function getCacheSummary() {
+  const db = await openDb();
+  const tx = db.transaction('cache', 'readonly');
+  const summary = { count: 0, bytes: 0, oldestAt: null };
+  const cursorRequest = tx.objectStore('cache').openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    const { size, createdAt } = cursor.value;
+    summary.count += 1;
+    summary.bytes += size || 0;
+    if (summary.oldestAt === null || createdAt < summary.oldestAt) summary.oldestAt = createdAt;
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  return summary;
+}
+
+export async function clearCache() {
+  await runTransaction('cache', 'readwrite', (store) => store.clear());
+}
+
+/**
+ * 성공한 요청의 비용을 오늘 날짜 지출에 더한다. keyId를 주면 키별 사용량(keys)에도 더한다.
+ * @param {number} usd
+ * @param {number} [requests]
+ * @param {string|null} [keyId]
+ */
+export async function recordSpend(usd, requests = 1, keyId = null) {
+  await updateToday((row) => {
+    row.usd += usd;
+    row.requests += requests;
+    if (keyId) {
+      const prev = row.keys[keyId] || { usd: 0, requests: 0 };
+      row.keys[keyId] = { usd: prev.usd + usd, requests: prev.requests + requests };
+    }
+  });
+}
+
+/**
+ * 키가 오늘 일일 한도에 걸렸다고 기록한다. 한도는 태평양 시간 자정에 풀리므로 지역 날짜로 쌓는 지출 행과 섞지 않고
+ * 'quota-' 키로 따로 남긴다.
+ * @param {string} keyId
+ */
+export async function markKeyExhausted(keyId) {
+  const date = toQuotaKey(new Date());
+  await runTransaction('spend', 'readwrite', (store) => {
+    const request = store.get(date);
+    request.onsuccess = () => {
+      const exhausted = request.result?.exhausted || [];
+      if (!exhausted.includes(keyId)) store.put({ date, exhausted: [...exhausted, keyId] });
+    };
+  });
+}
+
+/**
+ * 키별 오늘·이번 달 사용량과 오늘 한도에 걸린 키 목록.
+ * @returns {Promise<{ today: Object<string, { usd: number, requests: number }>, month: Object<string, { usd: number, requests: number }>, exhaustedToday: string[] }>}
+ */
+export async function getKeyUsage() {
+  const todayKey = toDateKey(new Date());
+  const rows = await listMonthSpend(todayKey.slice(0, 7));
+  const quotaRow = await runTransaction('spend', 'readonly', (store) => store.get(toQuotaKey(new Date())));
+  const usage = { today: {}, month: {}, exhaustedToday: [...(quotaRow?.exhausted || [])] };
+  for (const row of rows) {
+    for (const [keyId, value] of Object.entries(row.keys || {})) {
+      const prev = usage.month[keyId] || { usd: 0, requests: 0 };
+      usage.month[keyId] = { usd: prev.usd + value.usd, requests: prev.requests + value.requests };
+      if (row.date === todayKey) usage.today[keyId] = { ...value };
+    }
+  }
+  return usage;
+}
+
+async function updateToday(update) {
+  const date = toDateKey(new Date());
+  await runTransaction('spend', 'readwrite', (store) => {
+    const request = store.get(date);
+    request.onsuccess = () => {
+      const prev = request.result || {};
+      const row = {
+        date,
+        usd: prev.usd || 0,
+        requests: prev.requests || 0,
+        keys: { ...prev.keys },
+      };
+      update(row);
+      store.put(row);
+    };
+  });
+}
+
+async function listMonthSpend(monthKey) {
+  const rows = await runTransaction('spend', 'readonly', (store) =>
+    store.getAll(IDBKeyRange.bound(`${monthKey}-00`, `${monthKey}-99`))
+  );
+  return rows || [];
+}
+
+/**
+ * 오늘과 이번 달 누적 지출.
+ * @returns {Promise<{ todayUsd: number, monthUsd: number, todayRequests: number, monthRequests: number }>}
+ */
+export async function getSpendSummary() {
+  const todayKey = toDateKey(new Date());
+  const rows = await listMonthSpend(todayKey.slice(0, 7));
+
+  const summary = { todayUsd: 0, monthUsd: 0, todayRequests: 0, monthRequests: 0 };
+  for (const row of rows) {
+    summary.monthUsd += row.usd;
+    summary.monthRequests += row.requests;
+    if (row.date === todayKey) {
+      summary.todayUsd += row.usd;
+      summary.todayRequests += row.requests;
+    }
+  }
+  return summary;
+}
+
+function toDateKey(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// 지출 행과 같은 스토어에 두지만 월별 조회 범위(YYYY-MM-00 ~ YYYY-MM-99)에는 걸리지 않는다.
+function toQuotaKey(d) {
+  const parts = Object.fromEntries(QUOTA_DAY_FORMAT.formatToParts(d).map((part) => [part.type, part.value]));
+  return `quota-${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * 스토어 하나에 대한 트랜잭션을 열고, callback이 IDBRequest를 돌려주면 그 결과를 반환한다.
+ */
+async function runTransaction(storeName, mode, callback) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const request = callback(tx.objectStore(storeName));
+  await transactionDone(tx);
+  return request ? request.result : undefined;
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error || new Error('작업 저장소 처리 중 오류가 발생했습니다.'));
+    tx.onabort = () => reject(tx.error || new Error('작업 저장소 처리가 중단되었습니다.'));
+  });
+}
@@ -1,22 +1,242 @@
 
-const MODEL_URL = (apiKey) =>
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-image-preview:streamGenerateContent?key=${encodeURIComponent(apiKey)}`;
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+// 키는 URL 대신 x-goog-api-key 헤더로 보내 로그·기록에 남지 않게 한다.
+// alt=sse로 받아야 응답 조각이 도착하는 대로 이벤트 단위로 읽을 수 있다.
+const MODEL_URL = (model = DEFAULT_IMAGE_MODEL) => `${API_BASE}/${model}:streamGenerateContent?alt=sse`;
 
-const TRANSLATE_PROMPT = '이 이미지의 중국어를 한국어로 번역해서, 번역된 이미지를 반환해줘.';
+// 고를 수 있는 이미지 모델과 각 모델이 지원하는 출력 해상도. flash 모델은 1K 고정이다.
+export const IMAGE_MODELS = {
+  'gemini-3-pro-image-preview': { label: 'Gemini 3 Pro Image (고화질)', imageSizes: ['1K', '2K', '4K'] },
+  'gemini-2.5-flash-image': { label: 'Gemini 2.5 Flash Image (저렴)', imageSizes: ['1K'] },
+};
+export const DEFAULT_IMAGE_MODEL = 'gemini-3-pro-image-preview';
+// 텍스트 추출 모드는 이미지를 만들지 않으므로 값싼 텍스트 모델로 글자와 위치만 받는다.
+export const DEFAULT_TEXT_MODEL = 'gemini-2.5-flash';
+// 텍스트 추출 모드 응답 형식. box_2d는 Gemini가 위치를 알려 주는 방식 그대로 [ymin, xmin, ymax, xmax]를 0~1000으로 나타낸다.
+const TEXT_BLOCKS_SCHEMA = {
+  type: 'ARRAY',
+  items: {
+    type: 'OBJECT',
+    properties: {
+      text: { type: 'STRING' },
+      translation: { type: 'STRING' },
+      box_2d: { type: 'ARRAY', items: { type: 'INTEGER' } },
+    },
+    required: ['text', 'translation', 'box_2d'],
+    propertyOrdering: ['text', 'translation', 'box_2d'],
+  },
+};
+// 품질 검사 응답 형식. 번역 이미지에 아직 남아 있는 원문 덩어리만 받는다.
+const LEFTOVER_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    leftover: { type: 'ARRAY', items: { type: 'STRING' } },
+  },
+  required: ['leftover'],
+};
+
+/**
+ * 모델이 지원하지 않는 해상도를 고르면 지원하는 값으로 바꾼다.
+ * @param {string} [model]
+ * @param {string} [imageSize]
+ * @returns {string}
+ */
+export function resolveImageSize(model = DEFAULT_IMAGE_MODEL, imageSize = '2K') {
+  const sizes = IMAGE_MODELS[model]?.imageSizes || IMAGE_MODELS[DEFAULT_IMAGE_MODEL].imageSizes;
+  return sizes.includes(imageSize) ? imageSize : sizes[sizes.length - 1];
+}
+
+export const AUTO_DETECT = 'auto';
+
+export const LANGUAGE_NAMES = {
+  zh: '중국어',
+  ja: '일본어',
+  en: '영어',
+  ko: '한국어',
+  vi: '베트남어',
+  th: '태국어',
+  id: '인도네시아어',
+};
+
+// Gemini 이미지 모델이 지원하는 비율별 2K 출력 크기. 1K는 절반, 4K는 두 배다.
+const ASPECT_RATIO_SIZES = {
+  '1:1': [2048, 2048],
+  '2:3': [1696, 2528],
+  '3:2': [2528, 1696],
+  '3:4': [1792, 2400],
+  '4:3': [2400, 1792],
+  '4:5': [1856, 2304],
+  '5:4': [2304, 1856],
+  '9:16': [1536, 2752],
+  '16:9': [2752, 1536],
+  '21:9': [3168, 1344],
+};
+
+const IMAGE_SIZE_SCALE = { '1K': 0.5, '2K': 1, '4K': 2 };
+
+/**
+ * 가로세로 비율이 가장 가까운 지원 비율. 비율 차이는 로그로 재서 가로·세로 방향을 똑같이 다룬다.
+ * @param {number} width
+ * @param {number} height
+ * @returns {string} - 예: '16:9'
+ */
+export function pickAspectRatio(width, height) {
+  const target = Math.log((width || 1) / (height || 1));
+  let best = '1:1';
+  let bestDiff = Infinity;
+  for (const [aspectRatio, [w, h]] of Object.entries(ASPECT_RATIO_SIZES)) {
+    const diff = Math.abs(Math.log(w / h) - target);
+    if (diff < bestDiff) {
+      best = aspectRatio;
+      bestDiff = diff;
+    }
+  }
+  return best;
+}
+
+/**
+ * 비율과 해상도 등급에 따른 Gemini 출력 이미지 크기.
+ * @param {string} aspectRatio - 예: '16:9'
+ * @param {string} [imageSize] - '1K' | '2K' | '4K'
+ * @returns {{ width: number, height: number }}
+ */
+export function getOutputSize(aspectRatio, imageSize = '2K') {
+  const size = ASPECT_RATIO_SIZES[aspectRatio];
+  if (!size) throw new Error(`지원하지 않는 비율입니다: ${aspectRatio}`);
+  const scale = IMAGE_SIZE_SCALE[imageSize] ?? 1;
+  return { width: Math.round(size[0] * scale), height: Math.round(size[1] * scale) };
+}
+
+/**
+ * 원문/번역 언어 조합으로 번역 프롬프트를 만든다.
+ * 사용자 프롬프트가 있으면 기본 문장 대신 쓰고, 용어집과 번역 제외 단어는 규칙으로 덧붙인다.
+ * @param {string} [sourceLang] - LANGUAGE_NAMES 키 또는 'auto'
+ * @param {string} [targetLang] - LANGUAGE_NAMES 키
+ * @param {Object} [rules]
+ * @param {string} [rules.customPrompt] - {source}, {target} 자리에 언어 이름이 들어간다.
+ * @param {Array<{ source: string, target: string }>} [rules.glossary] - 반드시 지킬 번역어
+ * @param {string[]} [rules.doNotTranslate] - 원문 그대로 둘 브랜드명·모델명 등
+ * @returns {string}
+ */
+export function buildTranslatePrompt(sourceLang = 'zh', targetLang = 'ko', rules = {}) {
+  const { source, target } = resolveLanguages(sourceLang, targetLang);
+  const basePrompt =
+    sourceLang === AUTO_DETECT
+      ? `이 이미지에서 ${target}가 아닌 텍스트의 언어를 감지해 ${target}로 번역해서, 번역된 이미지를 반환해줘.`
+      : `이 이미지의 ${source}를 ${target}로 번역해서, 번역된 이미지를 반환해줘.`;
+
+  const customPrompt = rules.customPrompt?.trim();
+  return [
+    customPrompt ? customPrompt.replaceAll('{source}', source).replaceAll('{target}', target) : basePrompt,
+    ...buildRuleSections(rules),
+  ].join('\n\n');
+}
+
+/**
+ * 텍스트 추출 모드 프롬프트. 이미지를 다시 그리지 않고 글자 덩어리마다 원문·번역·위치를 JSON으로 받는다.
+ * 사용자 프롬프트는 번역 이미지를 요청하는 문장이라 쓰지 않고, 용어집과 번역 제외 단어만 덧붙인다.
+ * @param {string} [sourceLang]
+ * @param {string} [targetLang]
+ * @param {Object} [rules] - buildTranslatePrompt 참고
+ * @returns {string}
+ */
+export function buildExtractPrompt(sourceLang = 'zh', targetLang = 'ko', rules = {}) {
+  const { source, target } = resolveLanguages(sourceLang, targetLang);
+  const scope = sourceLang === AUTO_DETECT ? `${target}가 아닌 모든 텍스트` : `모든 ${source} 텍스트`;
+  const basePrompt = [
+    `이 이미지에서 ${scope}를 찾아 ${target}로 번역해줘.`,
+    '한 줄이나 한 문단처럼 함께 읽히는 글자를 한 덩어리로 묶고, 덩어리마다 원문(text), 번역(translation), 위치(box_2d)를 JSON 배열로 반환해줘.',
+    'box_2d는 [ymin, xmin, ymax, xmax] 순서로, 이미지 크기를 0~1000으로 본 정수 좌표야.',
+    '번역할 텍스트가 없으면 빈 배열을 반환해줘.',
+  ].join('\n');
+  return [basePrompt, ...buildRuleSections(rules)].join('\n\n');
+}
+
+/**
+ * 품질 검사 프롬프트. 번역이 끝난 이미지에서 번역되지 않고 남은 원문을 찾게 한다.
+ * 번역 제외 단어는 원문 그대로 두는 것이 맞으므로 남아 있어도 세지 않게 한다.
+ * @param {string} [sourceLang]
+ * @param {string} [targetLang]
+ * @param {Object} [rules] - buildTranslatePrompt 참고. doNotTranslate만 쓴다.
+ * @returns {string}
+ */
+export function buildCheckPrompt(sourceLang = 'zh', targetLang = 'ko', rules = {}) {
+  const { source, target } = resolveLanguages(sourceLang, targetLang);
+  const scope = sourceLang === AUTO_DETECT ? `${target}가 아닌 텍스트` : `${source} 텍스트`;
+  const sections = [
+    [
+      `이 이미지는 ${source}를 ${target}로 번역한 결과야.`,
+      `번역되지 않고 남아 있는 ${scope}를 덩어리별로 찾아 leftover 배열에 원문 그대로 넣어 반환해줘.`,
+      '숫자, 단위, 기호만 있는 덩어리는 넣지 말고, 남은 텍스트가 없으면 빈 배열을 반환해줘.',
+    ].join('\n'),
+  ];
+  const doNotTranslate = (rules.doNotTranslate || []).filter(Boolean);
+  if (doNotTranslate.length) {
+    const lines = doNotTranslate.map((word) => `- ${word}`);
+    sections.push(`다음 단어는 원문 그대로 두기로 했으니 남아 있어도 넣지 마.\n${lines.join('\n')}`);
+  }
+  return sections.join('\n\n');
+}
+
+function resolveLanguages(sourceLang, targetLang) {
+  const target = LANGUAGE_NAMES[targetLang];
+  if (!target) throw new Error(`지원하지 않는 번역 언어입니다: ${targetLang}`);
+  if (sourceLang === AUTO_DETECT) return { source: '원문 언어', target };
+
+  const source = LANGUAGE_NAMES[sourceLang];
+  if (!source) throw new Error(`지원하지 않는 원문 언어입니다: ${sourceLang}`);
+  if (sourceLang === targetLang) throw new Error('원문 언어와 번역 언어가 같습니다.');
+  return { source, target };
+}
+
+// 용어집과 번역 제외 단어를 프롬프트 뒤에 붙일 규칙 문단으로 만든다.
+function buildRuleSections(rules) {
+  const sections = [];
+  const glossary = (rules.glossary || []).filter((term) => term.source && term.target);
+  if (glossary.length) {
+    const lines = glossary.map((term) => `- ${term.source} → ${term.target}`);
+    sections.push(`다음 용어는 반드시 지정한 번역어로 옮겨줘.\n${lines.join('\n')}`);
+  }
+  const doNotTranslate = (rules.doNotTranslate || []).filter(Boolean);
+  if (doNotTranslate.length) {
+    sections.push(`다음 단어는 번역하지 말고 원문 그대로 둬.\n${doNotTranslate.map((word) => `- ${word}`).join('\n')}`);
+  }
+  return sections;
+}
 
 /**
  * 브라우저 환경용 Gemini 호출. R2 업로드 없이 이미지 Base64만 반환한다.
  * @param {string} apiKey
  * @param {string} pngBase64 - data URL prefix 없이 순수 Base64 문자열
  * @param {Object} [options]
- * @param {string} [options.imageSize] - '1K' | '2K' | '4K'
- * @param {string} [options.aspectRatio] - 예: '1:1'
- * @returns {Promise<string>} - Gemini가 생성한 이미지 Base64 문자열
+ * @param {string} [options.model] - IMAGE_MODELS 키 (기본 DEFAULT_IMAGE_MODEL)
+ * @param {string} [options.imageSize] - '1K' | '2K' | '4K'. 모델이 지원하지 않으면 resolveImageSize로 바꾼다.
+ * @param {string} [options.aspectRatio] - 예: '1:1'. pickAspectRatio로 입력 이미지에 맞춰 고른다.
+ * @param {string} [options.sourceLang] - 원문 언어 코드 또는 'auto' (기본 'zh')
+ * @param {string} [options.targetLang] - 번역 언어 코드 (기본 'ko')
+ * @param {string} [options.customPrompt] - buildTranslatePrompt 참고
+ * @param {Array<{ source: string, target: string }>} [options.glossary]
+ * @param {string[]} [options.doNotTranslate]
+ * @param {AbortSignal} [options.signal] - 작업을 취소하면 진행 중인 요청을 끊는다.
+ * @param {(progress: { bytes: number, events: number }) => void} [options.onProgress] - 응답 조각을 받을 때마다 호출
+ * @returns {Promise<string>} - Gemini가 생성한 이미지 data URL. 응답에 담긴 MIME 타입을 그대로 쓴다.
  */
 export async function requestGeminiImage(apiKey, pngBase64, options = {}) {
   if (!apiKey) throw new Error('API 키가 필요합니다.');
   if (!pngBase64) throw new Error('이미지 데이터가 필요합니다.');
 
+  const prompt = buildTranslatePrompt(options.sourceLang, options.targetLang, {
+    customPrompt: options.customPrompt,
+    glossary: options.glossary,
+    doNotTranslate: options.doNotTranslate,
+  });
+  const model = options.model || DEFAULT_IMAGE_MODEL;
+  const imageConfig = { aspectRatio: options.aspectRatio || '1:1' };
+  // 해상도를 고를 수 없는 모델에 imageSize를 보내면 요청이 거절된다.
+  if (IMAGE_MODELS[model]?.imageSizes.length > 1) {
+    imageConfig.imageSize = resolveImageSize(model, options.imageSize);
+  }
+
   const body = {
     contents: [
       {
@@ -28,104 +248,399 @@ export async function requestGeminiImage(apiKey, pngBase64, options = {}) {
             },
           },
           {
-            text: TRANSLATE_PROMPT,
+            text: prompt,
           },
         ],
       },
     ],
     generationConfig: {
       responseModalities: ['IMAGE'],
-      imageConfig: {
-        aspectRatio: options.aspectRatio || '1:1',
-        imageSize: options.imageSize || '2K',
+      imageConfig,
+    },
+  };
+
+  const payloads = await callGemini(apiKey, model, body, options);
+  const imageDataUrl = extractInlineImage(payloads);
+
+  if (!imageDataUrl) {
+    // 모델이 가끔 이미지 없이 글로만 답하므로 재시도 대상으로 두고, 그 답을 오류에 남긴다.
+    const reply = extractText(payloads).trim();
+    const detail = reply ? ` 모델 응답: ${reply.slice(0, 200)}` : '';
+    throw createGeminiError(`Gemini 응답에서 이미지 데이터를 찾을 수 없습니다.${detail}`, { retryable: true });
+  }
+
+  return imageDataUrl;
+}
+
+/**
+ * 텍스트 추출 모드 호출. 이미지 속 글자 덩어리의 원문·번역·위치를 JSON 문자열로 받는다.
+ * 받은 문자열이 parseTextBlocks로 읽히지 않으면 재시도할 수 있는 오류로 던진다.
+ * @param {string} apiKey
+ * @param {string} pngBase64
+ * @param {Object} [options] - requestGeminiImage 참고. model 기본값은 DEFAULT_TEXT_MODEL이고 이미지 크기 옵션은 쓰지 않는다.
+ * @returns {Promise<string>} - TEXT_BLOCKS_SCHEMA 형태의 JSON 문자열
+ */
+export async function requestGeminiText(apiKey, pngBase64, options = {}) {
+  if (!apiKey) throw new Error('API 키가 필요합니다.');
+  if (!pngBase64) throw new Error('이미지 데이터가 필요합니다.');
+
+  const prompt = buildExtractPrompt(options.sourceLang, options.targetLang, {
+    glossary: options.glossary,
+    doNotTranslate: options.doNotTranslate,
+  });
+  const body = {
+    contents: [
+      {
+        parts: [{ inlineData: { mimeType: 'image/png', data: pngBase64 } }, { text: prompt }],
       },
+    ],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: TEXT_BLOCKS_SCHEMA,
     },
   };
 
-  const response = await fetch(MODEL_URL(apiKey), {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
+  const payloads = await callGemini(apiKey, options.model || DEFAULT_TEXT_MODEL, body, options);
+  const text = extractText(payloads);
+  try {
+    parseTextBlocks(text);
+  } catch (e) {
+    throw createGeminiError(`Gemini 응답을 텍스트 목록으로 읽지 못했습니다: ${e.message}`, { retryable: true });
+  }
+  return text;
+}
+
+/**
+ * 품질 검사 호출. 번역 이미지에 남은 원문 덩어리 목록을 받는다.
+ * @param {string} apiKey
+ * @param {string} pngBase64 - 번역 이미지
+ * @param {Object} [options] - requestGeminiText 참고
+ * @returns {Promise<string[]>}
+ */
+export async function requestGeminiCheck(apiKey, pngBase64, options = {}) {
+  if (!apiKey) throw new Error('API 키가 필요합니다.');
+  if (!pngBase64) throw new Error('이미지 데이터가 필요합니다.');
+
+  const prompt = buildCheckPrompt(options.sourceLang, options.targetLang, { doNotTranslate: options.doNotTranslate });
+  const body = {
+    contents: [
+      {
+        parts: [{ inlineData: { mimeType: 'image/png', data: pngBase64 } }, { text: prompt }],
+      },
+    ],
+    generationConfig: {
+      responseMimeType: 'application/json',
+      responseSchema: LEFTOVER_SCHEMA,
     },
-    body: JSON.stringify(body),
-  });
+  };
+
+  const payloads = await callGemini(apiKey, options.model || DEFAULT_TEXT_MODEL, body, options);
+  let leftover;
+  try {
+    leftover = JSON.parse(extractText(payloads))?.leftover;
+  } catch (e) {
+    leftover = null;
+  }
+  if (!Array.isArray(leftover)) {
+    throw createGeminiError('Gemini 응답에서 품질 검사 결과를 읽지 못했습니다.', { retryable: true });
+  }
+  return leftover.filter((text) => typeof text === 'string' && text.trim()).map((text) => text.trim());
+}
+
+/**
+ * requestGeminiText가 돌려준 JSON을 읽는다. 위치가 잘못된 덩어리는 버리고 좌표는 0~1000 안으로 자른다.
+ * @param {string} jsonText
+ * @returns {Array<{ text: string, translation: string, box: number[] }>} - box는 [ymin, xmin, ymax, xmax]
+ */
+export function parseTextBlocks(jsonText) {
+  const parsed = JSON.parse(jsonText);
+  if (!Array.isArray(parsed)) throw new Error('JSON 배열이 아닙니다.');
+
+  const clamp = (value) => Math.min(1000, Math.max(0, Math.round(value)));
+  return parsed
+    .filter((block) => typeof block?.text === 'string' && Array.isArray(block.box_2d) && block.box_2d.length === 4)
+    .map((block) => ({
+      text: block.text,
+      translation: typeof block.translation === 'string' ? block.translation : '',
+      box: block.box_2d.map((value) => clamp(Number(value) || 0)),
+    }))
+    .filter(({ box: [ymin, xmin, ymax, xmax] }) => ymax > ymin && xmax > xmin);
+}
+
+/**
+ * 요청을 보내고 SSE 응답을 이벤트마다 읽어 돌려준다. HTTP·연결 오류는 재시도 정보를 담아 던진다.
+ * 스트림 중간에 온 오류 이벤트와 차단·중단 사유(finishReason)도 여기서 오류로 바꾼다.
+ * @param {string} apiKey
+ * @param {string} model
+ * @param {Object} body
+ * @param {{ signal?: AbortSignal, onProgress?: Function }} [options]
+ * @returns {Promise<Object[]>} - 이벤트별 GenerateContentResponse
+ */
+async function callGemini(apiKey, model, body, { signal, onProgress } = {}) {
+  let response;
+  try {
+    response = await fetch(MODEL_URL(model), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    if (signal?.aborted) throw createGeminiError('요청을 중단했습니다.', { aborted: true });
+    throw createGeminiError(`Gemini 연결 실패: ${e?.message || e}`, { retryable: true });
+  }
 
   if (!response.ok) {
     const errorText = await response.text().catch(() => '');
-    throw new Error(`Gemini 호출 실패 (${response.status}): ${errorText.slice(0, 500)}`);
+    const quota = parseQuotaError(errorText);
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After')) ?? quota.retryDelayMs;
+    throw createGeminiError(`Gemini 호출 실패 (${response.status}): ${errorText.slice(0, 500)}`, {
+      status: response.status,
+      // 일일 한도 초과는 기다려도 풀리지 않으므로 재시도하지 않는다.
+      retryable: !quota.daily && (response.status === 429 || response.status >= 500),
+      retryAfterMs,
+      dailyQuotaExceeded: quota.daily,
+    });
   }
 
-  const rawText = await readStream(response.body);
-  const parsed = parseStreamJson(rawText);
-  const imageBase64 = extractInlineImage(parsed);
-
-  if (!imageBase64) {
-    throw new Error('Gemini 응답에서 이미지 데이터를 찾을 수 없습니다.');
+  let payloads;
+  try {
+    payloads = await readEventStream(response.body, onProgress);
+  } catch (e) {
+    if (signal?.aborted) throw createGeminiError('요청을 중단했습니다.', { aborted: true });
+    throw createGeminiError(`Gemini 응답을 읽지 못했습니다: ${e?.message || e}`, { retryable: true });
   }
+  if (!payloads.length) throw createGeminiError('Gemini 응답이 비어 있습니다.', { retryable: true });
 
-  return imageBase64;
+  const streamError = payloads.find((payload) => payload?.error)?.error;
+  if (streamError) {
+    const status = Number(streamError.code) || null;
+    throw createGeminiError(`Gemini 스트림 오류 (${status ?? '알 수 없음'}): ${streamError.message || ''}`, {
+      status,
+      retryable: status === 429 || status >= 500,
+    });
+  }
+  checkFinishReason(payloads);
+  return payloads;
 }
 
-async function readStream(stream) {
-  if (!stream?.getReader) {
-    return '';
+/**
+ * 키와 모델을 확인한다. 이미지를 만들지 않는 모델 정보 조회라 과금되지 않는다.
+ * @param {string} apiKey
+ * @param {string} [model]
+ * @returns {Promise<{ displayName: string, inputTokenLimit: number|null }>}
+ */
+export async function validateApiKey(apiKey, model = DEFAULT_IMAGE_MODEL) {
+  if (!apiKey) throw new Error('API 키가 필요합니다.');
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE}/${model}`, { headers: { 'x-goog-api-key': apiKey } });
+  } catch (e) {
+    throw createGeminiError(`Gemini 연결 실패: ${e?.message || e}`, { retryable: true });
   }
 
-  const reader = stream.getReader();
-  const decoder = new TextDecoder('utf-8');
-  let text = '';
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    const messages = {
+      400: 'API 키가 올바르지 않습니다.',
+      403: 'API 키에 이 모델을 쓸 권한이 없습니다.',
+      404: `모델을 찾을 수 없습니다: ${model}`,
+      429: '요청 한도를 초과했습니다. 잠시 후 다시 확인해주세요.',
+    };
+    const message = messages[response.status] || `Gemini 호출 실패 (${response.status}): ${errorText.slice(0, 200)}`;
+    throw createGeminiError(message, { status: response.status });
+  }
 
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    text += decoder.decode(value, { stream: true });
+  const info = await response.json();
+  if (info.supportedGenerationMethods && !info.supportedGenerationMethods.includes('generateContent')) {
+    throw new Error(`이 모델은 이미지 생성을 지원하지 않습니다: ${model}`);
   }
+  return { displayName: info.displayName || model, inputTokenLimit: info.inputTokenLimit ?? null };
+}
 
-  text += decoder.decode();
-  return text;
+/**
+ * 재시도 판단에 필요한 정보를 담은 Error를 만든다.
+ * @param {string} message
+ * @param {Object} [info]
+ * @param {number} [info.status] - HTTP 상태 코드
+ * @param {boolean} [info.retryable] - 같은 요청을 다시 보내 볼 만한 오류인지 여부
+ * @param {number} [info.retryAfterMs] - 서버가 알려준 재시도 대기 시간
+ * @param {boolean} [info.dailyQuotaExceeded] - 일일 한도 초과 여부
+ * @param {string} [info.finishReason] - 차단·중단 사유 (예: 'SAFETY', 'RECITATION')
+ * @returns {Error}
+ */
+function createGeminiError(message, info = {}) {
+  const error = new Error(message);
+  error.status = info.status ?? null;
+  error.retryable = Boolean(info.retryable);
+  error.retryAfterMs = info.retryAfterMs ?? null;
+  error.dailyQuotaExceeded = Boolean(info.dailyQuotaExceeded);
+  error.aborted = Boolean(info.aborted);
+  error.finishReason = info.finishReason ?? null;
+  return error;
+}
+
+/**
+ * Retry-After 헤더(초 또는 HTTP 날짜)를 밀리초로 바꾼다.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, at - Date.now());
 }
 
-function parseStreamJson(rawText) {
-  if (!rawText) return [];
+/**
+ * google.rpc 오류 본문에서 RetryInfo 대기 시간과 일일 한도 초과 여부를 꺼낸다.
+ */
+function parseQuotaError(errorText) {
+  const result = { retryDelayMs: null, daily: false };
+  let details;
+  try {
+    details = JSON.parse(errorText)?.error?.details;
+  } catch (e) {
+    return result;
+  }
+  if (!Array.isArray(details)) return result;
 
-  const lines = rawText
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
+  for (const detail of details) {
+    const type = detail?.['@type'] || '';
+    if (type.endsWith('RetryInfo') && typeof detail.retryDelay === 'string') {
+      const seconds = parseFloat(detail.retryDelay);
+      if (Number.isFinite(seconds)) result.retryDelayMs = seconds * 1000;
+    }
+    if (type.endsWith('QuotaFailure')) {
+      const violations = detail.violations || [];
+      if (violations.some((v) => /PerDay/i.test(v?.quotaId || ''))) {
+        result.daily = true;
+      }
+    }
+  }
+  return result;
+}
 
+/**
+ * text/event-stream 본문을 받는 대로 읽는다. 빈 줄로 끝나는 이벤트마다 data 줄을 모아 JSON으로 파싱하고,
+ * 파싱할 수 없는 이벤트나 SSE 형식이 아닌 줄은 건너뛰지 않고 오류로 던진다.
+ * @param {ReadableStream} stream
+ * @param {(progress: { bytes: number, events: number }) => void} [onProgress] - 바이트 조각을 받을 때마다 호출
+ * @returns {Promise<Object[]>}
+ */
+async function readEventStream(stream, onProgress) {
   const payloads = [];
+  if (!stream?.getReader) return payloads;
 
-  for (const line of lines) {
-    const jsonText = line.startsWith('data:') ? line.slice(5).trim() : line;
-    if (!jsonText) continue;
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let dataLines = [];
+  let bytes = 0;
+
+  const dispatch = () => {
+    if (!dataLines.length) return;
+    const jsonText = dataLines.join('\n');
+    dataLines = [];
     try {
       payloads.push(JSON.parse(jsonText));
     } catch (e) {
-      // 스킵
+      throw new Error(`${payloads.length + 1}번째 조각이 올바른 JSON이 아닙니다 (${jsonText.slice(0, 100)})`);
     }
-  }
-
-  if (!payloads.length && rawText.trim().startsWith('[')) {
-    try {
-      const arr = JSON.parse(rawText.trim());
-      if (Array.isArray(arr)) {
-        payloads.push(...arr);
+  };
+  const consume = (text) => {
+    buffer += text;
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (!line) {
+        dispatch();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      } else if (!line.startsWith(':') && !/^(event|id|retry):/.test(line)) {
+        // ':'로 시작하는 주석과 event·id·retry 줄은 쓰지 않지만 형식에는 맞다.
+        throw new Error(`SSE 형식이 아닌 응답입니다 (${line.slice(0, 100)})`);
       }
-    } catch (e) {
-      // 스킵
+      newline = buffer.indexOf('\n');
     }
-  }
+  };
 
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      bytes += value.byteLength;
+      consume(decoder.decode(value, { stream: true }));
+      onProgress?.({ bytes, events: payloads.length });
+    }
+  } catch (e) {
+    // 형식이 틀린 응답은 남은 본문을 더 받지 않는다.
+    reader.cancel().catch(() => {});
+    throw e;
+  }
+  // 마지막 이벤트는 빈 줄 없이 끝날 수 있다.
+  consume(`${decoder.decode()}\n`);
+  dispatch();
   return payloads;
 }
 
+// 응답을 막거나 끊은 사유. 안전 정책 계열은 같은 이미지로 다시 보내도 막히므로 재시도하지 않는다.
+const BLOCK_REASON_MESSAGES = {
+  SAFETY: { message: '안전 정책에 걸려 차단되었습니다.', retryable: false },
+  IMAGE_SAFETY: { message: '이미지가 안전 정책에 걸려 차단되었습니다.', retryable: false },
+  PROHIBITED_CONTENT: { message: '금지된 콘텐츠로 판단되어 차단되었습니다.', retryable: false },
+  BLOCKLIST: { message: '차단 목록에 있는 표현이 있어 차단되었습니다.', retryable: false },
+  SPII: { message: '민감한 개인정보가 있어 차단되었습니다.', retryable: false },
+  RECITATION: { message: '저작물을 그대로 옮긴 것으로 판단되어 중단되었습니다.', retryable: true },
+  MAX_TOKENS: { message: '응답이 최대 길이에 도달해 중간에 끊겼습니다.', retryable: true },
+  NO_IMAGE: { message: '모델이 이미지를 만들지 못했습니다.', retryable: true },
+  OTHER: { message: '알 수 없는 이유로 중단되었습니다.', retryable: true },
+};
+const NORMAL_FINISH_REASONS = ['STOP', 'FINISH_REASON_UNSPECIFIED'];
+
+/**
+ * 요청 자체가 막혔으면(promptFeedback.blockReason) 또는 정상 종료가 아닌 finishReason으로 끝났으면 사유를 담아 던진다.
+ */
+function checkFinishReason(payloads) {
+  const blockReason = payloads.find((payload) => payload?.promptFeedback?.blockReason)?.promptFeedback.blockReason;
+  if (blockReason) throw createBlockError('Gemini가 요청을 거부했습니다', blockReason);
+
+  const finishReason = payloads.map((payload) => payload?.candidates?.[0]?.finishReason).filter(Boolean).pop();
+  if (finishReason && !NORMAL_FINISH_REASONS.includes(finishReason)) {
+    throw createBlockError('Gemini가 응답을 멈췄습니다', finishReason);
+  }
+}
+
+function createBlockError(prefix, reason) {
+  const known = BLOCK_REASON_MESSAGES[reason] || { message: '예상하지 못한 이유로 끝났습니다.', retryable: true };
+  return createGeminiError(`${prefix}: ${known.message} (${reason})`, {
+    retryable: known.retryable,
+    finishReason: reason,
+  });
+}
+
 function extractInlineImage(payloads) {
   for (const item of payloads) {
     const parts = item?.candidates?.[0]?.content?.parts || [];
     const imagePart = parts.find((p) => p?.inlineData?.data);
     if (imagePart?.inlineData?.data) {
-      return imagePart.inlineData.data;
+      const { mimeType = 'image/png', data } = imagePart.inlineData;
+      return `data:${mimeType};base64,${data}`;
     }
   }
   return null;
-}
\ No newline at end of file
+}
+
+// 스트림으로 받으면 텍스트가 여러 조각에 나뉘어 오므로 순서대로 이어 붙인다.
+function extractText(payloads) {
+  return payloads
+    .flatMap((item) => item?.candidates?.[0]?.content?.parts || [])
+    .filter((part) => typeof part?.text === 'string' && !part.thought)
+    .map((part) => part.text)
+    .join('');
+}
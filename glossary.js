@@ -0,0 +1,180 @@
+// 프롬프트 프리셋과 용어집. 팝업·편집 화면이 localStorage를 함께 쓰고,
+// 실행할 때 getPromptOptions 결과를 작업 설정에 담아 오프스크린 문서로 넘긴다.
+
+export const DEFAULT_PRESET_ID = 'default';
+
+/**
+ * 저장된 프롬프트 프리셋 목록. 맨 앞은 언제나 기본 프롬프트(빈 문자열)를 쓰는 기본 프리셋이다.
+ * @returns {Array<{ id: string, name: string, prompt: string }>}
+ */
+export function loadPresets() {
+  const saved = readJson('gemini_prompt_presets', []);
+  return [{ id: DEFAULT_PRESET_ID, name: '기본', prompt: '' }, ...saved.filter((p) => p.id !== DEFAULT_PRESET_ID)];
+}
+
+export function savePresets(presets) {
+  const custom = presets.filter((p) => p.id !== DEFAULT_PRESET_ID);
+  localStorage.setItem('gemini_prompt_presets', JSON.stringify(custom));
+}
+
+export function loadSelectedPresetId() {
+  return localStorage.getItem('gemini_prompt_preset') || DEFAULT_PRESET_ID;
+}
+
+export function saveSelectedPresetId(id) {
+  localStorage.setItem('gemini_prompt_preset', id);
+}
+
+/**
+ * @returns {{ terms: Array<{ source: string, target: string }>, doNotTranslate: string[] }}
+ */
+export function loadGlossary() {
+  const saved = readJson('gemini_glossary', {});
+  return normalizeGlossary(saved);
+}
+
+export function saveGlossary(glossary) {
+  localStorage.setItem('gemini_glossary', JSON.stringify(normalizeGlossary(glossary)));
+}
+
+/**
+ * 선택한 프리셋과 용어집을 requestGeminiImage 옵션 형태로 모은다.
+ * @returns {{ customPrompt: string, glossary: Array<{ source: string, target: string }>, doNotTranslate: string[] }}
+ */
+export function getPromptOptions() {
+  const presetId = loadSelectedPresetId();
+  const preset = loadPresets().find((p) => p.id === presetId);
+  const { terms, doNotTranslate } = loadGlossary();
+  return { customPrompt: preset?.prompt || '', glossary: terms, doNotTranslate };
+}
+
+/**
+ * 용어집 CSV를 읽는다. 열은 source,target이며 target이 비어 있으면 번역 제외 단어로 본다.
+ * 첫 줄이 source,target 머리글이면 건너뛴다.
+ * @param {string} text
+ */
+export function parseGlossaryCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (rows.length && rows[0][0]?.trim().toLowerCase() === 'source') rows.shift();
+
+  const glossary = { terms: [], doNotTranslate: [] };
+  for (const [source = '', target = ''] of rows) {
+    if (!source.trim()) continue;
+    if (target.trim()) {
+      glossary.terms.push({ source, target });
+    } else {
+      glossary.doNotTranslate.push(source);
+    }
+  }
+  return normalizeGlossary(glossary);
+}
+
+export function toGlossaryCsv(glossary) {
+  const { terms, doNotTranslate } = normalizeGlossary(glossary);
+  const escape = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = [
+    ['source', 'target'],
+    ...terms.map((term) => [term.source, term.target]),
+    ...doNotTranslate.map((word) => [word, '']),
+  ];
+  // 엑셀에서 한글·중국어가 깨지지 않도록 BOM을 붙인다.
+  return `\uFEFF${rows.map((row) => row.map(escape).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * 용어집 JSON을 읽는다. { terms: [{source, target}], doNotTranslate: [] } 형태이며,
+ * 다른 도구에서 만든 { "원문": "번역어" } 객체나 [{source, target}] 배열도 받는다.
+ * @param {string} text
+ */
+export function parseGlossaryJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('용어집 JSON 형식이 올바르지 않습니다.');
+  }
+  if (Array.isArray(data)) return normalizeGlossary({ terms: data });
+  if (data && !data.terms && !data.doNotTranslate && typeof data === 'object') {
+    return normalizeGlossary({ terms: Object.entries(data).map(([source, target]) => ({ source, target })) });
+  }
+  return normalizeGlossary(data);
+}
+
+export function toGlossaryJson(glossary) {
+  return JSON.stringify(normalizeGlossary(glossary), null, 2);
+}
+
+/**
+ * 두 용어집을 합친다. 같은 원문은 새로 가져온 번역어로 덮어쓴다.
+ */
+export function mergeGlossary(base, incoming) {
+  const terms = new Map(base.terms.map((term) => [term.source, term.target]));
+  incoming.terms.forEach((term) => terms.set(term.source, term.target));
+  return normalizeGlossary({
+    terms: Array.from(terms, ([source, target]) => ({ source, target })),
+    doNotTranslate: [...base.doNotTranslate, ...incoming.doNotTranslate],
+  });
+}
+
+function normalizeGlossary(glossary) {
+  const seen = new Set();
+  const terms = [];
+  for (const term of glossary?.terms || []) {
+    const source = String(term?.source ?? '').trim();
+    const target = String(term?.target ?? '').trim();
+    if (!source || !target || seen.has(source)) continue;
+    seen.add(source);
+    terms.push({ source, target });
+  }
+  const doNotTranslate = Array.from(
+    new Set((glossary?.doNotTranslate || []).map((word) => String(word).trim()).filter(Boolean))
+  );
+  return { terms, doNotTranslate };
+}
+
+// 따옴표로 감싼 값 안의 쉼표·줄바꿈과 "" 이스케이프를 처리하는 최소한의 CSV 파서
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
@@ -0,0 +1,169 @@
+import { getOutputSize, pickAspectRatio } from './gemini.js';
+
+/**
+ * 이미지 비율에 가장 가까운 Gemini 지원 비율의 캔버스에 맞춰 늘리거나 줄이고,
+ * 남는 부분만 흰색으로 채운다.
+ * @param {Blob} file
+ * @param {{ imageSize?: string }} [options] - 캔버스 크기를 정할 해상도 등급 (기본 '2K')
+ * @returns {Promise<{ paddedBlob: Blob, resizedBlob: Blob, meta: Object }>}
+ *   meta는 cropTranslated에 그대로 넘기며 aspectRatio는 requestGeminiImage에 넘긴다.
+ */
+export async function resizeAndPad(file, { imageSize = '2K' } = {}) {
+  const dataUrl = await readAsDataUrl(file);
+  const img = await loadImage(dataUrl);
+
+  const aspectRatio = pickAspectRatio(img.width, img.height);
+  const { width: canvasW, height: canvasH } = getOutputSize(aspectRatio, imageSize);
+  const scale = Math.min(canvasW / (img.width || 1), canvasH / (img.height || 1));
+  const targetW = Math.min(canvasW, Math.max(1, Math.round(img.width * scale)));
+  const targetH = Math.min(canvasH, Math.max(1, Math.round(img.height * scale)));
+  const dx = Math.round((canvasW - targetW) / 2);
+  const dy = Math.round((canvasH - targetH) / 2);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = canvasW;
+  canvas.height = canvasH;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvasW, canvasH);
+  ctx.drawImage(img, dx, dy, targetW, targetH);
+
+  const paddedBlob = await canvasToBlob(canvas);
+
+  const cropCanvas = document.createElement('canvas');
+  cropCanvas.width = targetW;
+  cropCanvas.height = targetH;
+  const cropCtx = cropCanvas.getContext('2d');
+  cropCtx.drawImage(canvas, dx, dy, targetW, targetH, 0, 0, targetW, targetH);
+  const resizedBlob = await canvasToBlob(cropCanvas);
+
+  return {
+    paddedBlob,
+    resizedBlob,
+    meta: { dx, dy, targetW, targetH, canvasW, canvasH, aspectRatio },
+  };
+}
+
+/**
+ * 번역된 이미지에서 패딩을 잘라낸다. 응답은 보낸 캔버스와 비율이 같고 해상도만 다를 수 있으므로
+ * (요청 1K → 출력 4K 등) 좌표를 응답 크기에 맞춰 늘려 응답 해상도 그대로 자른다.
+ */
+export async function cropTranslated(dataUrl, meta) {
+  const img = await loadImage(dataUrl);
+
+  const { dx, dy, targetW, targetH, canvasW = img.width, canvasH = img.height } = meta;
+  const scaleX = img.width / canvasW;
+  const scaleY = img.height / canvasH;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(targetW * scaleX));
+  canvas.height = Math.max(1, Math.round(targetH * scaleY));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, -dx * scaleX, -dy * scaleY);
+
+  return await canvasToBlob(canvas);
+}
+
+export async function cropFromCollage(img, placement) {
+  const canvas = document.createElement('canvas');
+  canvas.width = placement.width;
+  canvas.height = placement.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, -placement.x, -placement.y);
+  return await canvasToBlob(canvas);
+}
+
+/**
+ * 이미지를 그리지 않고 가로세로 크기만 읽는다. 읽지 못한 이미지는 null.
+ * @param {Blob[]} blobs
+ * @returns {Promise<Array<{width: number, height: number}|null>>}
+ */
+export async function readImageSizes(blobs) {
+  const sizes = [];
+  for (const blob of blobs) {
+    try {
+      const bitmap = await createImageBitmap(blob);
+      sizes.push({ width: bitmap.width, height: bitmap.height });
+      bitmap.close();
+    } catch (e) {
+      sizes.push(null);
+    }
+  }
+  return sizes;
+}
+
+export function stripExtension(name) {
+  const lastDot = name.lastIndexOf('.');
+  if (lastDot === -1) return name;
+  return name.slice(0, lastDot);
+}
+
+export function readAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('파일을 읽는 중 오류가 발생했습니다.'));
+    reader.readAsDataURL(file);
+  });
+}
+
+export function loadImage(dataUrl) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('이미지를 로드하지 못했습니다.'));
+    img.src = dataUrl;
+  });
+}
+
+export async function blobToDataUrl(blob) {
+  return await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('이미지 직렬화에 실패했습니다.'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+export async function canvasToBlob(canvas, type = 'image/png', quality) {
+  return await new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('이미지 직렬화에 실패했습니다.'));
+          return;
+        }
+        resolve(blob);
+      },
+      type,
+      quality
+    )
+  );
+}
+
+/**
+ * 이미지를 지정한 형식·크기로 다시 인코딩한다. 크기를 주지 않으면 원래 크기를 유지한다.
+ * JPEG는 투명도를 지원하지 않으므로 흰 배경 위에 그린다.
+ * @param {Blob} blob
+ * @param {Object} options
+ * @param {string} options.type - 'image/png' | 'image/jpeg' | 'image/webp'
+ * @param {number} [options.quality] - 0~1, JPEG/WebP에만 적용
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeImage(blob, { type, quality, width, height }) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = width || bitmap.width;
+  canvas.height = height || bitmap.height;
+  const ctx = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return await canvasToBlob(canvas, type, quality);
+}
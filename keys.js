@@ -0,0 +1,211 @@
+import { getKeyUsage } from './db.js';
+import { DEFAULT_IMAGE_MODEL, validateApiKey } from './gemini.js';
+import {
+  addKey,
+  clearPassphrase,
+  getKeyStatus,
+  loadKeys,
+  lockKeys,
+  maskKey,
+  removeKey,
+  reorderKeys,
+  setPassphrase,
+  unlockKeys,
+} from './keystore.js';
+import { formatUsd } from './pricing.js';
+
+const statusEl = document.getElementById('status');
+const lockedCard = document.getElementById('lockedCard');
+const unlockPassphraseInput = document.getElementById('unlockPassphrase');
+const unlockButton = document.getElementById('unlock');
+const keysCard = document.getElementById('keysCard');
+const keysEl = document.getElementById('keys');
+const newLabelInput = document.getElementById('newLabel');
+const newKeyInput = document.getElementById('newKey');
+const addKeyButton = document.getElementById('addKey');
+const encryptionCard = document.getElementById('encryptionCard');
+const encryptionHintEl = document.getElementById('encryptionHint');
+const newPassphraseInput = document.getElementById('newPassphrase');
+const confirmPassphraseInput = document.getElementById('confirmPassphrase');
+const setPassphraseButton = document.getElementById('setPassphrase');
+const clearPassphraseButton = document.getElementById('clearPassphrase');
+const lockButton = document.getElementById('lock');
+
+unlockButton.addEventListener('click', onUnlock);
+unlockPassphraseInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') onUnlock();
+});
+addKeyButton.addEventListener('click', onAddKey);
+setPassphraseButton.addEventListener('click', onSetPassphrase);
+clearPassphraseButton.addEventListener('click', onClearPassphrase);
+lockButton.addEventListener('click', async () => {
+  await lockKeys();
+  await reload();
+  setStatus('키를 잠갔습니다.');
+});
+// 팝업에서 키를 더하거나 잠금을 풀고 돌아올 때 다시 읽는다.
+window.addEventListener('focus', reload);
+
+reload();
+
+async function reload() {
+  try {
+    const status = await getKeyStatus();
+    lockedCard.hidden = !status.locked;
+    keysCard.hidden = status.locked;
+    encryptionCard.hidden = status.locked;
+    if (status.locked) return;
+
+    const [keys, usage] = await Promise.all([loadKeys(), getKeyUsage()]);
+    renderKeys(keys, usage);
+    renderEncryption(status);
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || 'API 키를 불러오지 못했습니다.');
+  }
+}
+
+function setStatus(message) {
+  statusEl.textContent = message || '';
+}
+
+function renderKeys(keys, usage) {
+  const exhausted = new Set(usage.exhaustedToday);
+  keysEl.replaceChildren(
+    ...keys.map((entry, position) => renderKeyRow(entry, position, keys, usage, exhausted.has(entry.id)))
+  );
+  if (!keys.length) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'empty';
+    cell.textContent = '등록한 키가 없습니다.';
+    row.append(cell);
+    keysEl.append(row);
+  }
+}
+
+function renderKeyRow(entry, position, keys, usage, isExhausted) {
+  const row = document.createElement('tr');
+
+  const label = document.createElement('td');
+  label.textContent = entry.label;
+  const masked = document.createElement('td');
+  masked.className = 'mono';
+  masked.textContent = maskKey(entry.key);
+  const today = document.createElement('td');
+  today.textContent = formatUsage(usage.today[entry.id]);
+  const month = document.createElement('td');
+  month.textContent = formatUsage(usage.month[entry.id]);
+
+  const state = document.createElement('td');
+  const badge = document.createElement('span');
+  badge.className = isExhausted ? 'badge exhausted' : 'badge';
+  badge.textContent = isExhausted ? '오늘 한도 도달' : '사용 가능';
+  state.append(badge);
+
+  const actions = document.createElement('td');
+  actions.className = 'actions';
+  const validateButton = createButton('확인', false, () => onValidate(entry, validateButton));
+  const upButton = createButton('↑', position === 0, async () => {
+    const ids = keys.map((k) => k.id);
+    [ids[position - 1], ids[position]] = [ids[position], ids[position - 1]];
+    await runAction(() => reorderKeys(ids));
+  });
+  const removeButton = createButton('삭제', false, async () => {
+    if (!confirm(`'${entry.label}' 키를 삭제할까요?`)) return;
+    await runAction(() => removeKey(entry.id), '키를 삭제했습니다.');
+  });
+  actions.append(validateButton, upButton, removeButton);
+
+  row.append(label, masked, today, month, state, actions);
+  return row;
+}
+
+function createButton(label, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = 'secondary small';
+  button.textContent = label;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function formatUsage(value) {
+  if (!value) return '-';
+  return `${value.requests}회 · ${formatUsd(value.usd)}`;
+}
+
+function renderEncryption(status) {
+  encryptionHintEl.textContent = status.encrypted
+    ? '키를 암호로 암호화해 저장하고 있습니다. 브라우저를 다시 열면 암호를 입력해야 번역할 수 있습니다.'
+    : '지금은 키를 암호화하지 않고 이 브라우저에 저장합니다. 암호를 정하면 저장된 키를 암호화합니다.';
+  setPassphraseButton.textContent = status.encrypted ? '암호 변경' : '암호 설정';
+  clearPassphraseButton.hidden = !status.encrypted;
+  lockButton.hidden = !status.encrypted;
+}
+
+// 실패하면 상태 줄에 알리고, 성공하든 실패하든 목록을 다시 그린다.
+async function runAction(action, successMessage) {
+  try {
+    await action();
+    if (successMessage) setStatus(successMessage);
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '작업을 마치지 못했습니다.');
+  }
+  await reload();
+}
+
+async function onUnlock() {
+  const passphrase = unlockPassphraseInput.value;
+  if (!passphrase) {
+    setStatus('암호를 입력해주세요.');
+    return;
+  }
+  await runAction(async () => {
+    await unlockKeys(passphrase);
+    unlockPassphraseInput.value = '';
+  }, '잠금을 풀었습니다.');
+}
+
+async function onAddKey() {
+  await runAction(async () => {
+    const entry = await addKey(newKeyInput.value, newLabelInput.value);
+    newKeyInput.value = '';
+    newLabelInput.value = '';
+    setStatus(`'${entry.label}' 키를 추가했습니다.`);
+  });
+}
+
+async function onValidate(entry, button) {
+  const model = localStorage.getItem('gemini_model') || DEFAULT_IMAGE_MODEL;
+  button.disabled = true;
+  setStatus(`'${entry.label}' 키를 확인하는 중...`);
+  try {
+    const info = await validateApiKey(entry.key, model);
+    setStatus(`'${entry.label}' 키를 쓸 수 있습니다. (${info.displayName})`);
+  } catch (e) {
+    setStatus(`'${entry.label}': ${e?.message || '키를 확인하지 못했습니다.'}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function onSetPassphrase() {
+  const passphrase = newPassphraseInput.value;
+  if (passphrase !== confirmPassphraseInput.value) {
+    setStatus('두 암호가 같지 않습니다.');
+    return;
+  }
+  await runAction(async () => {
+    await setPassphrase(passphrase);
+    newPassphraseInput.value = '';
+    confirmPassphraseInput.value = '';
+  }, '암호를 저장했습니다. 키는 암호화되어 저장됩니다.');
+}
+
+async function onClearPassphrase() {
+  if (!confirm('암호화를 해제하면 키를 평문으로 저장합니다. 계속할까요?')) return;
+  await runAction(() => clearPassphrase(), '암호화를 해제했습니다.');
+}
@@ -0,0 +1,209 @@
+// Gemini API 키 저장소. 키는 chrome.storage.local에 두고, 암호를 정하면 목록 전체를
+// PBKDF2로 만든 AES-GCM 키로 암호화해 저장한다. 잠금을 푼 키와 암호화 키는 브라우저를 닫으면
+// 사라지는 chrome.storage.session에만 둔다. 오프스크린 문서는 chrome.storage를 쓸 수 없어
+// 팝업·검토 화면·서비스 워커가 loadKeys로 읽어 실행 메시지에 담아 넘긴다.
+
+const STORE_KEY = 'gemini_keys';
+const SESSION_KEY = 'gemini_unlocked_keys';
+const PBKDF2_ITERATIONS = 250000;
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} id - 키 해시 앞부분. 사용량 기록에 키 대신 쓴다.
+ * @property {string} label
+ * @property {string} key
+ */
+
+/**
+ * @returns {Promise<{ count: number|null, encrypted: boolean, locked: boolean }>} - 잠겨 있으면 count는 null
+ */
+export async function getKeyStatus() {
+  const stored = await readStored();
+  if (!stored.encrypted) return { count: stored.keys.length, encrypted: false, locked: false };
+  const session = await readSession();
+  return { count: session ? session.keys.length : null, encrypted: true, locked: !session };
+}
+
+/**
+ * 저장된 키를 등록 순서(= 돌려 쓰는 순서)대로 읽는다.
+ * @returns {Promise<ApiKey[]>}
+ */
+export async function loadKeys() {
+  const stored = await readStored();
+  if (!stored.encrypted) return stored.keys;
+  const session = await readSession();
+  if (!session) throw createLockedError();
+  return session.keys;
+}
+
+/**
+ * @param {string} key
+ * @param {string} [label]
+ * @returns {Promise<ApiKey>}
+ */
+export async function addKey(key, label = '') {
+  const trimmed = key.trim();
+  if (!trimmed) throw new Error('API 키를 입력해주세요.');
+  const keys = await loadKeys();
+  const id = await createKeyId(trimmed);
+  if (keys.some((k) => k.id === id)) throw new Error('이미 등록된 키입니다.');
+  const entry = { id, label: label.trim() || `…${trimmed.slice(-4)}`, key: trimmed };
+  await writeKeys([...keys, entry]);
+  return entry;
+}
+
+export async function removeKey(id) {
+  const keys = await loadKeys();
+  await writeKeys(keys.filter((k) => k.id !== id));
+}
+
+/**
+ * 키 순서를 바꾼다. 앞의 키부터 쓰고, 일일 한도에 걸리면 다음 키로 넘어간다.
+ * @param {string[]} ids
+ */
+export async function reorderKeys(ids) {
+  const keys = await loadKeys();
+  const byId = new Map(keys.map((k) => [k.id, k]));
+  await writeKeys(ids.map((id) => byId.get(id)).filter(Boolean));
+}
+
+/**
+ * 암호를 정하거나 바꾼다. 잠금이 풀린 상태에서만 할 수 있다.
+ * @param {string} passphrase
+ */
+export async function setPassphrase(passphrase) {
+  if (!passphrase) throw new Error('암호를 입력해주세요.');
+  const keys = await loadKeys();
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cryptoKey = await deriveKey(passphrase, salt);
+  await writeEncrypted(keys, cryptoKey, salt);
+}
+
+/**
+ * 암호화를 끄고 평문으로 저장한다.
+ */
+export async function clearPassphrase() {
+  const keys = await loadKeys();
+  await chrome.storage.local.set({ [STORE_KEY]: { encrypted: false, keys } });
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * @param {string} passphrase
+ */
+export async function unlockKeys(passphrase) {
+  const stored = await readStored();
+  if (!stored.encrypted) return;
+  const salt = fromBase64(stored.salt);
+  const cryptoKey = await deriveKey(passphrase, salt);
+  let keys;
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+      cryptoKey,
+      fromBase64(stored.data)
+    );
+    keys = JSON.parse(new TextDecoder().decode(plain));
+  } catch (e) {
+    throw new Error('암호가 맞지 않습니다.');
+  }
+  await writeSession(keys, cryptoKey, salt);
+}
+
+export async function lockKeys() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * localStorage에 평문으로 두던 예전 키를 옮긴다. 옮길 키가 있었으면 true.
+ * @param {string|null} legacyKey
+ */
+export async function migrateLegacyKey(legacyKey) {
+  if (!legacyKey) return false;
+  const stored = await readStored();
+  // 암호화된 저장소는 잠금을 풀어야 쓸 수 있어 평문일 때만 옮긴다.
+  if (stored.encrypted) return false;
+  const id = await createKeyId(legacyKey.trim());
+  if (!stored.keys.some((k) => k.id === id)) await addKey(legacyKey);
+  return true;
+}
+
+export function maskKey(key) {
+  return key.length > 10 ? `${key.slice(0, 6)}…${key.slice(-4)}` : '…';
+}
+
+async function writeKeys(keys) {
+  const stored = await readStored();
+  if (!stored.encrypted) {
+    await chrome.storage.local.set({ [STORE_KEY]: { encrypted: false, keys } });
+    return;
+  }
+  const session = await readSession();
+  if (!session) throw createLockedError();
+  const cryptoKey = await crypto.subtle.importKey('jwk', session.jwk, 'AES-GCM', true, ['encrypt', 'decrypt']);
+  await writeEncrypted(keys, cryptoKey, fromBase64(stored.salt));
+}
+
+async function writeEncrypted(keys, cryptoKey, salt) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    cryptoKey,
+    new TextEncoder().encode(JSON.stringify(keys))
+  );
+  await chrome.storage.local.set({
+    [STORE_KEY]: { encrypted: true, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) },
+  });
+  await writeSession(keys, cryptoKey, salt);
+}
+
+async function writeSession(keys, cryptoKey, salt) {
+  const jwk = await crypto.subtle.exportKey('jwk', cryptoKey);
+  await chrome.storage.session.set({ [SESSION_KEY]: { keys, jwk, salt: toBase64(salt) } });
+}
+
+async function readStored() {
+  const { [STORE_KEY]: stored } = await chrome.storage.local.get(STORE_KEY);
+  return stored || { encrypted: false, keys: [] };
+}
+
+async function readSession() {
+  const { [SESSION_KEY]: session } = await chrome.storage.session.get(SESSION_KEY);
+  return session || null;
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey',
+  ]);
+  return await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function createKeyId(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest).slice(0, 6), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function createLockedError() {
+  const error = new Error('API 키가 잠겨 있습니다. 팝업에서 암호를 입력해 잠금을 풀어주세요.');
+  error.locked = true;
+  return error;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+}
@@ -0,0 +1,603 @@
+import {
+  getJob,
+  getKeyUsage,
+  getLatestJob,
+  getSpendSummary,
+  listItems,
+  markKeyExhausted,
+  putItems,
+  putJob,
+  recordSpend,
+  updateItem,
+} from './db.js';
+import { DEFAULT_IMAGE_MODEL, resolveImageSize } from './gemini.js';
+import { getPromptOptions } from './glossary.js';
+import { blobToDataUrl } from './image.js';
+import {
+  DEFAULT_QA_THRESHOLD,
+  checkQuality,
+  createCancelError,
+  processNormalMode,
+  processOverlayMode,
+  processSaverMode,
+  processTextMode,
+} from './pipeline.js';
+import { checkBudget, estimateCost, getRequestPrice, getTextRequestPrice } from './pricing.js';
+import { createKeyRing, createScheduler } from './scheduler.js';
+import { dedupeSources } from './sources.js';
+
+// 팝업이 닫혀도 계속 돌아야 하는 번역 작업을 실행하는 오프스크린 문서.
+// 한 번에 하나의 작업만 실행하고, 진행 상황은 IndexedDB와 메시지로 알린다.
+let activeJob = null;
+
+// 요청 진행 상황(받은 바이트 수) 알림 간격
+const PROGRESS_BROADCAST_MS = 500;
+
+// 웹 페이지에서 우클릭으로 추가한 항목 → 결과를 돌려보낼 탭. 페이지에 덮어 보여줄지도 함께 둔다.
+const pageTargets = new Map();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== 'offscreen') return false;
+  handleMessage(message).then(sendResponse, (e) =>
+    sendResponse({ error: e?.message || '처리 중 오류가 발생했습니다.' })
+  );
+  return true;
+});
+
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'job:start':
+      return await startJob(message.jobId, message.keys);
+    case 'job:retranslate':
+      return await startJob(message.jobId, message.keys, {
+        itemIds: message.itemIds,
+        mode: message.mode,
+        refreshCache: true,
+      });
+    case 'job:cancel':
+      return cancelJob(message.jobId);
+    case 'job:pause':
+      return await pauseJob(message.jobId, true);
+    case 'job:unpause':
+      return await pauseJob(message.jobId, false);
+    case 'page:translate':
+      return await translatePageImages(message);
+    case 'job:query':
+      return {
+        activeJobId: activeJob?.id || null,
+        stats: activeJob?.stats || null,
+        requests: activeJob ? Array.from(activeJob.requests.values()) : [],
+      };
+    default:
+      throw new Error(`알 수 없는 요청입니다: ${message.type}`);
+  }
+}
+
+/**
+ * 작업의 대기·실패 항목을 처리하기 시작한다. 새 작업과 이어하기 모두 이 경로를 쓴다.
+ * itemIds를 주면 상태와 상관없이 그 항목만 (mode가 있으면 그 모드로) 다시 번역한다.
+ * refreshCache를 주면 캐시를 읽지 않고 새로 번역해 캐시를 덮어쓴다. 검토 화면에서 거절한 번역을 다시 받을 때 쓴다.
+ * keys는 loadKeys로 읽은 API 키 목록으로, 이 문서는 chrome.storage를 읽을 수 없어 메시지로 받는다.
+ */
+async function startJob(jobId, keys, { itemIds, mode, refreshCache = false } = {}) {
+  if (activeJob) {
+    if (activeJob.id === jobId) return { ok: true };
+    throw new Error('이미 실행 중인 작업이 있습니다.');
+  }
+  if (!keys?.length) throw new Error('API 키가 필요합니다.');
+
+  const job = await getJob(jobId);
+  if (!job) throw new Error('작업을 찾을 수 없습니다.');
+
+  const items = await listItems(jobId);
+  const remaining = itemIds
+    ? items.filter((item) => itemIds.includes(item.id))
+    : items.filter((item) => item.status !== 'done');
+  if (!remaining.length) {
+    await finishJob(job, 'done');
+    return { ok: true };
+  }
+
+  const others = items.filter((item) => !remaining.includes(item));
+  // controller는 취소할 때 진행 중인 요청을 끊고, scheduler는 runJob이 만든 뒤 채운다.
+  // requests는 보낸 요청별 진행 상황(요청 id → 상태)으로, 팝업에 요청마다 대기·수신 상태를 보여준다.
+  activeJob = {
+    id: jobId,
+    job,
+    cancelled: false,
+    stats: null,
+    requests: new Map(),
+    progressAt: 0,
+    controller: new AbortController(),
+    scheduler: null,
+  };
+  job.status = 'running';
+  job.error = null;
+  job.done = others.filter((item) => item.status === 'done').length;
+  job.failed = others.filter((item) => item.status === 'failed').length;
+  job.sheets = null;
+  job.paused = false;
+  job.updatedAt = Date.now();
+  await putJob(job);
+
+  if (itemIds) {
+    // 다시 번역하는 항목은 이전 검토 결과를 지우고 대기 상태로 돌린다.
+    await Promise.all(remaining.map((item) => updateItem(item.id, { status: 'pending', review: null })));
+  }
+  broadcast(job);
+
+  runJob(job, remaining, keys, { mode, refreshCache }).catch(async (e) => {
+    console.error(e);
+    job.error = e?.message || '처리 중 오류가 발생했습니다.';
+    await finishJob(job, 'interrupted');
+  });
+
+  return { ok: true };
+}
+
+/**
+ * 항목을 모드별로 나눠 처리한다. mode(다시 번역할 때 고른 모드)가 있으면 모두 그 모드로,
+ * 없으면 대기열에서 항목별로 지정한 모드, 그것도 없으면 작업 모드를 쓴다.
+ */
+async function runJob(job, items, keys, { mode, refreshCache }) {
+  const current = activeJob;
+  const scheduler = createScheduler({
+    maxConcurrent: job.settings.maxConcurrent,
+    requestsPerMinute: job.settings.requestsPerMinute,
+    onChange: (stats) => {
+      current.stats = stats;
+      broadcast(job);
+    },
+  });
+  current.scheduler = scheduler;
+
+  // 오늘 이미 한도에 걸린 키는 처음부터 건너뛴다.
+  const { exhaustedToday } = await getKeyUsage();
+  const keyRing = createKeyRing(keys, {
+    exhausted: exhaustedToday,
+    onExhausted: (keyId) => markKeyExhausted(keyId).catch((e) => console.error(e)),
+  });
+
+  const { model, imageSize, inputSize } = job.settings;
+  const context = {
+    keyRing,
+    translateOptions: job.settings.translateOptions,
+    model,
+    imageSize,
+    inputSize,
+    tiling: Boolean(job.settings.tiling),
+    // 이 설정이 생기기 전에 만든 작업은 캐시를 쓴다.
+    useCache: job.settings.useCache !== false,
+    refreshCache,
+    scheduler,
+    isCancelled: () => current.cancelled,
+    signal: current.controller.signal,
+    onRequestSuccess: (keyId, requestMode) => {
+      // 텍스트 추출·품질 검사는 텍스트 모델 단가로 센다.
+      const textModel = requestMode === 'text' || requestMode === 'check';
+      const usd = textModel ? getTextRequestPrice() : getRequestPrice(imageSize, model);
+      job.spentUsd = (job.spentUsd || 0) + usd;
+      job.requests = (job.requests || 0) + 1;
+      recordSpend(usd, 1, keyId).catch((e) => console.error(e));
+    },
+    onRequestProgress: (request) => {
+      if (request.phase === 'finished') {
+        current.requests.delete(request.id);
+      } else {
+        current.requests.set(request.id, request);
+      }
+      // 받는 중에는 조각마다 불리므로 알림은 PROGRESS_BROADCAST_MS에 한 번만 보낸다.
+      const now = Date.now();
+      if (request.phase === 'receiving' && now - current.progressAt < PROGRESS_BROADCAST_MS) return;
+      current.progressAt = now;
+      broadcast(job);
+    },
+    onSheetsPlanned: (sheets) => {
+      // 요청을 보내기 전에 시트별 채움 비율을 팝업에 알린다.
+      job.sheets = sheets.map((sheet) => ({ fill: sheet.fill, tiles: sheet.placements.length }));
+      broadcast(job);
+    },
+  };
+
+  const groups = { normal: [], saver: [], text: [], overlay: [] };
+  items.forEach((item) => groups[mode || item.requestedMode || job.mode].push(item));
+
+  const pendingSaves = [];
+  // 모든 모드가 같은 스케줄러를 나눠 쓰므로 동시에 돌려도 동시 요청 수·분당 요청 수는 지켜진다.
+  const runs = Object.entries(groups)
+    .filter(([, group]) => group.length)
+    .map(([groupMode, group]) => {
+      const sources = group.map((item) => ({ id: item.id, fileName: item.fileName, blob: item.sourceBlob }));
+      const onResult = (result) => {
+        const source = sources.find((s) => s.id === result.id);
+        pendingSaves.push(
+          inspectResult(job, result, source, context, groupMode)
+            .then((checked) => saveResult(job, checked, groupMode))
+            .catch((e) => console.error(e))
+        );
+      };
+      const process = {
+        normal: processNormalMode,
+        saver: processSaverMode,
+        text: processTextMode,
+        overlay: processOverlayMode,
+      }[groupMode];
+      return process(sources, context, onResult);
+    });
+  await Promise.all(runs);
+  await Promise.all(pendingSaves);
+
+  await finishJob(job, current.cancelled ? 'cancelled' : 'done');
+}
+
+/**
+ * 품질 검사 설정이 켜져 있으면 이미지 모델 결과에 점수(result.quality)를 붙인다.
+ * 'retry'면 기준 미달 항목을 캐시를 거치지 않고 일반 모드로 한 번 더 번역해 점수가 높은 쪽을 남긴다.
+ * 텍스트 추출은 이미지가 없고, 로컬 합성은 글자 밖 픽셀을 건드리지 않으므로 검사하지 않는다.
+ * 검사 요청이 실패해도 번역 결과는 그대로 저장한다.
+ */
+async function inspectResult(job, result, source, context, groupMode) {
+  const action = job.settings.qaAction || 'off';
+  const mode = result.mode ?? groupMode;
+  if (action === 'off' || result.error || result.cancelled || !result.translatedBlob) return result;
+  if (mode !== 'normal' && mode !== 'saver') return result;
+
+  const threshold = job.settings.qaThreshold ?? DEFAULT_QA_THRESHOLD;
+  const check = (target) =>
+    checkQuality(target, context, threshold).catch((e) => {
+      if (!e?.cancelled) console.error('품질 검사에 실패했습니다.', e);
+      return null;
+    });
+
+  const quality = await check(result);
+  if (!quality) return result;
+  if (quality.passed || action !== 'retry' || !source) return { ...result, quality };
+
+  const [retried] = await processNormalMode([source], { ...context, refreshCache: true });
+  const retriedQuality = retried.error || retried.cancelled ? null : await check(retried);
+  if (retriedQuality && retriedQuality.score >= quality.score) {
+    return { ...retried, mode: 'normal', quality: { ...retriedQuality, retried: true } };
+  }
+  return { ...result, quality: { ...quality, retried: true } };
+}
+
+async function saveResult(job, result, mode) {
+  // 취소로 보내지 못한 항목은 대기 상태로 남겨 이어하기 대상이 되게 한다.
+  if (result.cancelled) return;
+
+  // manifest에 남길 처리 정보. 이전 실행 값이 남지 않도록 없는 값도 null로 덮어쓴다.
+  // 효율 모드에서 정렬 검증에 실패해 일반 모드로 다시 보낸 항목은 result.mode가 'normal'이다.
+  const info = {
+    mode: result.mode ?? mode,
+    sheetId: result.sheetId ?? null,
+    alignment: result.alignment ?? null,
+    segments: result.segments ?? null,
+    requestedAt: result.requestedAt ?? null,
+    attempts: result.attempts ?? null,
+    cacheHits: result.cacheHits ?? null,
+    quality: result.quality ?? null,
+    finishedAt: Date.now(),
+  };
+
+  if (result.error) {
+    job.failed += 1;
+    await updateItem(result.id, { status: 'failed', error: result.error, ...info });
+  } else {
+    job.done += 1;
+    // 텍스트 추출 결과는 이미지를 건드리지 않으므로, 이미지로 번역해 둔 항목이면 두 결과를 함께 갖는다.
+    // 로컬 합성 결과는 그린 이미지와 textBlocks를 모두 가진다.
+    const output = {};
+    if (result.translatedBlob) {
+      Object.assign(output, { paddedBlob: result.paddedBlob, translatedBlob: result.translatedBlob });
+    }
+    if (result.textBlocks) output.textBlocks = result.textBlocks;
+    await updateItem(result.id, { status: 'done', error: null, ...info, ...output });
+  }
+
+  // 실행 요약에 보여줄 품질 미달 목록. 다시 번역한 항목은 이전 판정을 지우고 새로 적는다.
+  job.qaFlagged = (job.qaFlagged || []).filter((entry) => entry.id !== result.id);
+  if (result.quality && !result.quality.passed) {
+    job.qaFlagged.push({
+      id: result.id,
+      fileName: result.fileName,
+      score: result.quality.score,
+      leftover: result.quality.leftover.length,
+      retried: Boolean(result.quality.retried),
+    });
+  }
+
+  job.updatedAt = Date.now();
+  await putJob(job);
+  broadcast(job);
+  await notifyPage(result).catch((e) => console.error(e));
+}
+
+/**
+ * 우클릭 메뉴로 넘어온 페이지 이미지를 받아 번역을 시작한다. 최근 작업이 우클릭으로 만들어 아직 시작 전이거나
+ * 일시정지된 작업이면 거기에 이어 붙이고, 아니면 새 작업을 만든다.
+ * 팝업을 거치지 않으므로 새 작업의 설정은 팝업이 저장해 둔 localStorage 값을, API 키는 서비스 워커가 읽어 넘긴 값을 쓴다.
+ * @param {Object} params
+ * @param {number} params.tabId
+ * @param {number} params.frameId
+ * @param {string} params.pageUrl
+ * @param {string[]} params.urls
+ * @param {boolean} params.overlay - true면 결과를 페이지의 이미지에 덮어 보여준다.
+ * @param {Array<{ id: string, key: string }>} params.keys
+ */
+async function translatePageImages({ tabId, frameId, pageUrl, urls, overlay, keys }) {
+  if (!keys?.length) throw new Error('팝업에서 API 키를 먼저 등록해주세요.');
+  if (activeJob) throw new Error('이미 실행 중인 작업이 있습니다. 끝난 뒤 다시 시도해주세요.');
+
+  // 팝업은 최근 작업만 보여주므로, 사용자가 페이지에서 모으고 있는 작업이면 거기에 이어 붙인다.
+  // 끝났거나 취소된 작업의 설정은 지금 팝업에서 고른 값과 다를 수 있어 이어 쓰지 않는다.
+  const latest = await getLatestJob();
+  let job = latest?.origin === 'page' && (latest.status === 'pending' || latest.paused) ? latest : null;
+  const existing = job ? await listItems(job.id) : [];
+  const knownUrls = new Set(existing.map((item) => item.sourceUrl).filter(Boolean));
+  const targets = Array.from(new Set(urls)).filter((url) => !knownUrls.has(url));
+  if (!targets.length) throw new Error('이 페이지의 이미지는 이미 작업에 추가되어 있습니다.');
+
+  const settings = job?.settings || loadJobSettings();
+  const mode = job?.mode || loadJobMode();
+  const budgetMessage = await checkPageBudget(targets.length, mode, settings);
+
+  const host = getHostName(pageUrl);
+  const sources = [];
+  const failures = [];
+  for (const url of targets) {
+    try {
+      const blob = await fetchImage(url, { tabId, frameId });
+      sources.push({ url, blob });
+    } catch (e) {
+      console.error(e);
+      failures.push(url);
+    }
+  }
+  if (!sources.length) throw new Error('이미지를 내려받지 못했습니다. 사이트가 외부 접근을 막았을 수 있습니다.');
+  // 주소는 달라도 같은 이미지(썸네일 크기만 다른 경우 제외)는 한 번만 번역한다.
+  const { unique } = await dedupeSources(sources, new Set(existing.map((item) => item.hash).filter(Boolean)));
+  if (!unique.length) throw new Error('이 페이지의 이미지는 이미 작업에 추가되어 있습니다.');
+
+  const now = Date.now();
+  if (!job) {
+    job = {
+      id: `job-${now}`,
+      createdAt: now,
+      updatedAt: now,
+      status: 'pending',
+      mode,
+      origin: 'page',
+      // 페이지에서 이미지 한 장만 번역한 작업은 팝업에서 바로 결과를 보여준다. 뒤에 더 붙으면 total로 걸러진다.
+      single: unique.length === 1,
+      settings,
+      total: 0,
+      done: 0,
+      failed: 0,
+    };
+  }
+  const firstIndex = existing.reduce((max, item) => Math.max(max, item.index + 1), 0);
+  const items = unique.map(({ url, blob, hash }, offset) => {
+    const index = firstIndex + offset;
+    const fileName = getFileName(url, blob, index);
+    return {
+      id: `${job.id}:${index}`,
+      jobId: job.id,
+      index,
+      fileName,
+      relativePath: `${host}/${fileName}`,
+      sourceUrl: url,
+      sourceBlob: blob,
+      hash,
+      requestedMode: null,
+      status: 'pending',
+      error: null,
+    };
+  });
+  job.total += items.length;
+  job.updatedAt = now;
+  await putJob(job);
+  await putItems(items);
+
+  items.forEach((item) => {
+    pageTargets.set(item.id, { tabId, frameId, url: item.sourceUrl, overlay, status: 'pending' });
+  });
+  await notifyPage({ id: items[0].id, progressOnly: true, notice: budgetMessage });
+
+  await startJob(job.id, keys, { itemIds: items.map((item) => item.id) });
+  return { ok: true, added: items.length, failed: failures.length };
+}
+
+// 팝업에서 마지막으로 고른 값으로 새 작업 설정을 만든다.
+function loadJobSettings() {
+  const model = localStorage.getItem('gemini_model') || DEFAULT_IMAGE_MODEL;
+  return {
+    translateOptions: {
+      sourceLang: localStorage.getItem('gemini_source_lang') || 'zh',
+      targetLang: localStorage.getItem('gemini_target_lang') || 'ko',
+      ...getPromptOptions(),
+    },
+    model,
+    imageSize: resolveImageSize(model, localStorage.getItem('gemini_image_size') || '2K'),
+    inputSize: localStorage.getItem('gemini_input_size') || '2K',
+    tiling: localStorage.getItem('gemini_tiling') === '1',
+    useCache: localStorage.getItem('gemini_use_cache') !== '0',
+    maxConcurrent: Number(localStorage.getItem('gemini_max_concurrent')) || 2,
+    requestsPerMinute: Number(localStorage.getItem('gemini_requests_per_minute')) || 18,
+    qaAction: localStorage.getItem('gemini_qa_action') || 'off',
+    qaThreshold: Number(localStorage.getItem('gemini_qa_threshold')) || DEFAULT_QA_THRESHOLD,
+  };
+}
+
+function loadJobMode() {
+  const textMode = localStorage.getItem('gemini_text_mode');
+  if (textMode === 'text' || textMode === 'overlay') return textMode;
+  return localStorage.getItem('gemini_saver_mode') === '1' ? 'saver' : 'normal';
+}
+
+// 페이지에서는 확인 창을 띄울 수 없으므로, 예산을 넘으면 '차단' 설정일 때만 멈추고 '경고'는 알림으로 보여준다.
+async function checkPageBudget(imageCount, mode, settings) {
+  // 효율 모드는 시트 수를 미리 알 수 없어 이미지 수로 넉넉하게 잡는다.
+  const estimate = estimateCost(imageCount, settings.imageSize, settings.model, mode);
+  const message = checkBudget({
+    estimateUsd: estimate.usd,
+    spend: await getSpendSummary(),
+    budget: {
+      daily: Number(localStorage.getItem('gemini_daily_budget')) || 0,
+      monthly: Number(localStorage.getItem('gemini_monthly_budget')) || 0,
+    },
+  });
+  if (message && localStorage.getItem('gemini_budget_action') === 'block') throw new Error(message);
+  return message;
+}
+
+// 확장 프로그램 origin에서 먼저 받아 보고, CORS로 막히면 페이지 안의 콘텐츠 스크립트에 부탁한다.
+async function fetchImage(url, { tabId, frameId }) {
+  if (!url.startsWith('blob:')) {
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        const blob = await response.blob();
+        if (blob.type.startsWith('image/')) return blob;
+      }
+    } catch (e) {
+      // 아래에서 페이지를 통해 다시 받는다.
+    }
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    target: 'background',
+    type: 'tab:relay',
+    tabId,
+    frameId,
+    payload: { type: 'page:fetch', url },
+  });
+  if (!response?.dataUrl) throw new Error(response?.error || '이미지를 받지 못했습니다.');
+  const blob = await (await fetch(response.dataUrl)).blob();
+  if (!blob.type.startsWith('image/')) throw new Error('이미지가 아닌 응답입니다.');
+  return blob;
+}
+
+function getHostName(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname || 'page';
+  } catch (e) {
+    return 'page';
+  }
+}
+
+// 타오바오 등은 'xxx.jpg_400x400.jpg_.webp'처럼 붙이므로, 실제 형식에 맞는 확장자로 끝나게 한다.
+function getFileName(url, blob, index) {
+  let name = '';
+  if (!url.startsWith('data:')) {
+    try {
+      name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    } catch (e) {
+      name = '';
+    }
+  }
+  name = name.replace(/[\\/:*?"<>|]/g, '_');
+  if (!name) name = `image-${index + 1}`;
+  const ext = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' }[blob.type] || 'png';
+  const pattern = ext === 'jpg' ? /\.jpe?g$/i : new RegExp(`\\.${ext}$`, 'i');
+  return pattern.test(name) ? name : `${name}.${ext}`;
+}
+
+/**
+ * 페이지에서 추가한 항목이면 진행 상황을, 덮어 보기라면 번역 결과도 해당 탭에 보낸다.
+ */
+async function notifyPage(result) {
+  const target = pageTargets.get(result.id);
+  if (!target) return;
+
+  if (!result.progressOnly) {
+    target.status = result.error ? 'failed' : 'done';
+    // 텍스트 추출 결과는 덮어 보여줄 이미지가 없다.
+    if (target.overlay && result.translatedBlob) {
+      const dataUrl = await blobToDataUrl(result.translatedBlob);
+      await sendToTab(target, { type: 'page:result', url: target.url, dataUrl });
+    }
+  }
+
+  const siblings = Array.from(pageTargets.values()).filter((t) => t.tabId === target.tabId);
+  const done = siblings.filter((t) => t.status === 'done').length;
+  const failed = siblings.filter((t) => t.status === 'failed').length;
+  await sendToTab(target, {
+    type: 'page:progress',
+    done,
+    failed,
+    total: siblings.length,
+    overlay: target.overlay,
+    notice: result.notice || null,
+  });
+
+  // 이 탭의 항목이 모두 끝나면 다음 우클릭 실행과 섞이지 않도록 정리한다.
+  if (done + failed === siblings.length) {
+    pageTargets.forEach((t, id) => {
+      if (t.tabId === target.tabId) pageTargets.delete(id);
+    });
+  }
+}
+
+function sendToTab({ tabId, frameId }, payload) {
+  return chrome.runtime
+    .sendMessage({ target: 'background', type: 'tab:relay', tabId, frameId, payload })
+    .catch(() => {
+      // 탭이 닫혔으면 결과는 작업에만 남긴다.
+    });
+}
+
+/**
+ * 진행 중인 요청까지 끊고 남은 요청을 버린다. 끝나지 않은 항목은 대기 상태로 남아 이어하기로 처리할 수 있다.
+ */
+function cancelJob(jobId) {
+  if (!activeJob || activeJob.id !== jobId) {
+    throw new Error('실행 중인 작업이 아닙니다.');
+  }
+  activeJob.cancelled = true;
+  activeJob.controller.abort();
+  activeJob.scheduler?.clear(createCancelError());
+  return { ok: true };
+}
+
+/**
+ * 일시정지는 새 요청만 멈춘다. 이미 보낸 요청은 과금되므로 끊지 않고 결과를 받아 둔다.
+ */
+async function pauseJob(jobId, paused) {
+  if (!activeJob || activeJob.id !== jobId) {
+    throw new Error('실행 중인 작업이 아닙니다.');
+  }
+  if (!activeJob.scheduler) throw new Error('작업을 준비하는 중입니다. 잠시 뒤 다시 시도해주세요.');
+  if (paused) {
+    activeJob.scheduler.pause();
+  } else {
+    activeJob.scheduler.resume();
+  }
+  // 나중에 연 팝업은 IndexedDB의 작업을 읽으므로 일시정지 상태도 저장한다.
+  const { job } = activeJob;
+  job.paused = paused;
+  job.updatedAt = Date.now();
+  await putJob(job);
+  broadcast(job);
+  return { ok: true };
+}
+
+async function finishJob(job, status) {
+  if (activeJob?.id === job.id) activeJob = null;
+  // 취소 등으로 남은 페이지 항목은 이어하기 때 팝업에서 처리되므로 탭 연결을 끊는다.
+  pageTargets.clear();
+  job.status = status;
+  job.paused = false;
+  job.updatedAt = Date.now();
+  await putJob(job);
+  broadcast(job);
+}
+
+function broadcast(job) {
+  const active = activeJob?.id === job.id ? activeJob : null;
+  const requests = active ? Array.from(active.requests.values()) : [];
+  chrome.runtime
+    .sendMessage({ target: 'ui', type: 'job:update', job, stats: active?.stats ?? null, requests })
+    .catch(() => {
+      // 열려 있는 팝업·검토 화면이 없으면 무시한다.
+    });
+}
@@ -0,0 +1,551 @@
+import { withCache } from './cache.js';
+import { inspectCollage } from './collage.js';
+import {
+  DEFAULT_TEXT_MODEL,
+  parseTextBlocks,
+  requestGeminiCheck,
+  requestGeminiImage,
+  requestGeminiText,
+} from './gemini.js';
+import {
+  blobToDataUrl,
+  canvasToBlob,
+  cropFromCollage,
+  cropTranslated,
+  encodeImage,
+  loadImage,
+  readAsDataUrl,
+  readImageSizes,
+  resizeAndPad,
+  stripExtension,
+} from './image.js';
+import { measureStructure } from './quality.js';
+import { buildSheets, saverTileSize } from './sheets.js';
+import { renderTextLayer } from './textlayer.js';
+import { createStitcher, cropSegment, planSegments, shouldTile } from './tiling.js';
+
+const MAX_ATTEMPTS = 4;
+// 진행 상황 알림에서 요청을 구분하는 번호. 재시도도 새 번호를 받는다.
+let requestSeq = 0;
+const RETRY_BASE_DELAY_MS = 2000;
+// 텍스트 추출 모드로 보낼 이미지의 긴 변 한도. 글자를 읽을 수 있을 만큼만 남기고 줄인다.
+const TEXT_MAX_SIDE = 3072;
+// 품질 점수는 구조 유사도(0~100)에서 남은 원문 덩어리마다 이만큼 뺀다.
+const LEFTOVER_PENALTY = 25;
+export const DEFAULT_QA_THRESHOLD = 70;
+
+/**
+ * 일반 모드: 이미지마다 가장 가까운 지원 비율의 2K 캔버스에 맞춰 따로 요청한다.
+ * @param {Array<{id: string, fileName: string, blob: Blob}>} sources
+ * @param {Object} context
+ * @param {{ current: Function, markExhausted: Function }} context.keyRing - createKeyRing으로 만든 API 키 묶음
+ * @param {Object} context.translateOptions - requestGeminiImage에 넘길 언어 옵션
+ * @param {string} [context.model] - 이미지 모델 (기본 DEFAULT_IMAGE_MODEL)
+ * @param {string} [context.imageSize] - Gemini 출력 해상도 '1K' | '2K' | '4K' (기본 '2K')
+ * @param {string} [context.inputSize] - resizeAndPad가 맞출 요청 이미지 해상도 (기본 '2K')
+ * @param {boolean} [context.tiling] - 긴 이미지를 조각으로 나눠 원래 크기로 번역할지 여부
+ * @param {boolean} [context.useCache] - false면 번역 캐시를 읽지도 쓰지도 않는다 (기본 사용)
+ * @param {boolean} [context.refreshCache] - true면 캐시를 읽지 않고 새 결과로 덮어쓴다 (품질 미달 재번역)
+ * @param {{ schedule: Function }} context.scheduler
+ * @param {() => boolean} [context.isCancelled]
+ * @param {AbortSignal} [context.signal] - 취소할 때 진행 중인 요청과 재시도 대기를 끊는다.
+ * @param {(keyId: string, mode: string) => void} [context.onRequestSuccess] - 과금되는 요청이 성공할 때마다 쓴 키 id와 요청 모드로 호출
+ * @param {(request: { id: number, label: string, mode: string, attempt: number, startedAt: number,
+ *   phase: string, bytes?: number }) => void} [context.onRequestProgress] - 보낸 요청의 상태가 바뀔 때마다 호출.
+ *   phase는 'waiting'(응답 대기) | 'receiving'(받는 중, bytes는 지금까지 받은 양) | 'finished'
+ * @param {(sheets: Array<{ fill: number }>) => void} [context.onSheetsPlanned] - 효율 모드에서 시트 배치가 정해지면 요청 전에 호출
+ * @param {(result: Object) => void} [onResult] - 이미지 한 장이 끝날 때마다 호출
+ * @returns {Promise<Object[]>} - 성공은 translatedBlob, 실패는 error 메시지를 가진 결과 목록
+ */
+export async function processNormalMode(sources, context, onResult) {
+  // 한 장이 실패해도 나머지 결과는 살리도록 파일별로 오류를 결과에 담는다.
+  const tasks = sources.map((source) =>
+    processSingleNormal(source, context)
+      .catch((e) => toFailure(source, e))
+      .then((result) => {
+        onResult?.(result);
+        return result;
+      })
+  );
+  return await Promise.all(tasks);
+}
+
+async function processSingleNormal(source, context) {
+  if (context.tiling) {
+    const img = await loadImage(await readAsDataUrl(source.blob));
+    if (shouldTile(img.width, img.height)) {
+      return await processTiled(source, img, context);
+    }
+  }
+
+  const { paddedBlob, resizedBlob, meta } = await resizeAndPad(source.blob, { imageSize: context.inputSize || '2K' });
+  if (!paddedBlob || !resizedBlob) throw new Error('이미지 변환에 실패했습니다.');
+
+  const paddedBase64 = await blobToDataUrl(paddedBlob);
+  const trimmedBase64 = paddedBase64.split(',')[1];
+  const imageOptions = getImageOptions(context, meta.aspectRatio);
+  const timing = {};
+  const translatedDataUrl = await requestTranslation(
+    context,
+    { imageBase64: trimmedBase64, mode: 'normal', imageOptions, label: source.fileName },
+    timing
+  );
+  const translatedBlob = await cropTranslated(translatedDataUrl, meta);
+
+  return {
+    id: source.id,
+    baseName: stripExtension(source.fileName),
+    fileName: source.fileName,
+    paddedBlob: resizedBlob,
+    translatedBlob,
+    ...timing,
+  };
+}
+
+/**
+ * 분할 모드: 조각마다 일반 모드와 같은 방식으로 번역하고 원래 해상도로 다시 이어 붙인다.
+ * 조각 하나라도 실패하면 이미지 전체를 실패로 본다.
+ */
+async function processTiled(source, img, context) {
+  const segments = planSegments(img.width, img.height);
+  const timing = {};
+
+  const translatedSegments = await Promise.all(
+    segments.map(async (segment, i) => {
+      const segmentBlob = await canvasToBlob(cropSegment(img, segment));
+      const { paddedBlob, meta } = await resizeAndPad(segmentBlob, { imageSize: context.inputSize || '2K' });
+      const paddedBase64 = await blobToDataUrl(paddedBlob);
+      const imageOptions = getImageOptions(context, meta.aspectRatio);
+      const translatedDataUrl = await requestTranslation(
+        context,
+        {
+          imageBase64: paddedBase64.split(',')[1],
+          mode: 'normal',
+          imageOptions,
+          label: `${source.fileName} ${i + 1}/${segments.length}`,
+        },
+        timing
+      );
+      const croppedBlob = await cropTranslated(translatedDataUrl, meta);
+      return await loadImage(await blobToDataUrl(croppedBlob));
+    })
+  );
+
+  // 겹침 구간 블렌딩은 앞 조각 위에 덮어 그리는 방식이라 반드시 계획된 순서대로 붙인다.
+  const stitcher = createStitcher(img.width, img.height);
+  segments.forEach((segment, i) => stitcher.add(segment, translatedSegments[i]));
+
+  const originalCanvas = document.createElement('canvas');
+  originalCanvas.width = img.width;
+  originalCanvas.height = img.height;
+  originalCanvas.getContext('2d').drawImage(img, 0, 0);
+
+  return {
+    id: source.id,
+    baseName: stripExtension(source.fileName),
+    fileName: source.fileName,
+    paddedBlob: await canvasToBlob(originalCanvas),
+    translatedBlob: await canvasToBlob(stitcher.canvas),
+    segments: segments.length,
+    ...timing,
+  };
+}
+
+/**
+ * 텍스트 추출 모드: 번역 이미지를 만들지 않고 글자 덩어리마다 원문·번역·위치를 받는다.
+ * 위치는 원본 이미지 픽셀 좌표로 바꿔 textBlocks에 담는다. 긴 이미지도 나누지 않고 한 번에 보낸다.
+ * 인자와 반환값은 processNormalMode와 같고, 성공한 결과는 translatedBlob 대신 textBlocks를 가진다.
+ */
+export async function processTextMode(sources, context, onResult) {
+  const tasks = sources.map((source) =>
+    processSingleText(source, context)
+      .catch((e) => toFailure(source, e))
+      .then((result) => {
+        onResult?.(result);
+        return result;
+      })
+  );
+  return await Promise.all(tasks);
+}
+
+async function processSingleText(source, context) {
+  const { textBlocks, timing } = await extractTextBlocks(source, context);
+  return {
+    id: source.id,
+    baseName: stripExtension(source.fileName),
+    fileName: source.fileName,
+    textBlocks,
+    ...timing,
+  };
+}
+
+/**
+ * 로컬 합성 모드: 텍스트 추출 모드와 같은 요청으로 글자 덩어리를 받은 뒤,
+ * 덩어리 영역만 캔버스에서 지우고 번역문을 그려 번역 이미지를 만든다.
+ * 글자 밖 픽셀은 원본과 같고, textBlocks를 함께 저장해 번역을 고친 뒤 요청 없이 다시 그릴 수 있다.
+ * 인자와 반환값은 processNormalMode와 같고, 성공한 결과는 translatedBlob과 textBlocks를 모두 가진다.
+ */
+export async function processOverlayMode(sources, context, onResult) {
+  const tasks = sources.map((source) =>
+    processSingleOverlay(source, context)
+      .catch((e) => toFailure(source, e))
+      .then((result) => {
+        onResult?.(result);
+        return result;
+      })
+  );
+  return await Promise.all(tasks);
+}
+
+async function processSingleOverlay(source, context) {
+  const { textBlocks, timing } = await extractTextBlocks(source, context);
+  // 원본 크기 그대로 그리므로 비교용 원본도 크기를 바꾸지 않고 PNG로만 맞춘다.
+  const paddedBlob = await encodeImage(source.blob, { type: 'image/png' });
+  const translatedBlob = await renderTextLayer(source.blob, textBlocks);
+  return {
+    id: source.id,
+    baseName: stripExtension(source.fileName),
+    fileName: source.fileName,
+    paddedBlob,
+    translatedBlob,
+    textBlocks,
+    ...timing,
+  };
+}
+
+async function extractTextBlocks(source, context) {
+  const [size] = await readImageSizes([source.blob]);
+  if (!size) throw new Error('이미지를 읽지 못했습니다.');
+
+  const scale = Math.min(1, TEXT_MAX_SIDE / Math.max(size.width, size.height));
+  const requestBlob = await encodeImage(source.blob, {
+    type: 'image/png',
+    width: Math.round(size.width * scale),
+    height: Math.round(size.height * scale),
+  });
+  const requestBase64 = (await blobToDataUrl(requestBlob)).split(',')[1];
+  const imageOptions = { ...context.translateOptions, model: DEFAULT_TEXT_MODEL };
+  const timing = {};
+  const jsonText = await requestTranslation(
+    context,
+    { imageBase64: requestBase64, mode: 'text', imageOptions, label: source.fileName },
+    timing
+  );
+
+  // box는 0~1000 비율 좌표라 원본 크기에 곱하면 된다.
+  const textBlocks = parseTextBlocks(jsonText).map(({ text, translation, box: [ymin, xmin, ymax, xmax] }) => {
+    const x = Math.round((xmin / 1000) * size.width);
+    const y = Math.round((ymin / 1000) * size.height);
+    return {
+      text,
+      translation,
+      box: {
+        x,
+        y,
+        width: Math.round((xmax / 1000) * size.width) - x,
+        height: Math.round((ymax / 1000) * size.height) - y,
+      },
+    };
+  });
+  return { textBlocks, timing };
+}
+
+/**
+ * 번역 이미지 품질 검사. 원본과의 구조 유사도는 로컬에서 재고, 남은 원문은 텍스트 모델에 한 번 물어본다.
+ * 검사 요청도 같은 스케줄러·키를 쓰고 onRequestSuccess에 'check' 모드로 알린다.
+ * @param {{ paddedBlob: Blob, translatedBlob: Blob }} result - 이미지 모델 결과
+ * @param {Object} context - processNormalMode 참고
+ * @param {number} [threshold] - 이 점수(0~100) 미만이면 passed가 false
+ * @returns {Promise<{ score: number, structure: number, leftover: string[], passed: boolean }>}
+ */
+export async function checkQuality(result, context, threshold = DEFAULT_QA_THRESHOLD) {
+  const structure = await measureStructure(result.paddedBlob, result.translatedBlob);
+
+  const [size] = await readImageSizes([result.translatedBlob]);
+  if (!size) throw new Error('번역 이미지를 읽지 못했습니다.');
+  const scale = Math.min(1, TEXT_MAX_SIDE / Math.max(size.width, size.height));
+  const requestBlob = await encodeImage(result.translatedBlob, {
+    type: 'image/png',
+    width: Math.round(size.width * scale),
+    height: Math.round(size.height * scale),
+  });
+  const imageBase64 = (await blobToDataUrl(requestBlob)).split(',')[1];
+  const leftover = await requestWithRetry(
+    context,
+    (apiKey, onProgress) =>
+      requestGeminiCheck(apiKey, imageBase64, { ...context.translateOptions, signal: context.signal, onProgress }),
+    {},
+    'check',
+    `${result.fileName} 품질 검사`
+  );
+
+  const score = Math.max(0, Math.round(structure * 100) - leftover.length * LEFTOVER_PENALTY);
+  return { score, structure: Math.round(structure * 1000) / 1000, leftover, passed: score >= threshold };
+}
+
+/**
+ * 실행 전 예상 요청 수. 효율 모드는 buildSheets가 실제로 만들 시트 수를,
+ * 분할 대상 이미지는 조각 수를 센다. 텍스트 추출·로컬 합성 모드는 이미지마다 한 번이다.
+ * @param {Blob[]} blobs
+ * @param {{ mode: string, tiling?: boolean }} options
+ * @returns {Promise<{ requests: number, sheets: Array<{ fill: number }> }>} - sheets는 효율 모드 시트별 채움 비율
+ */
+export async function planRequests(blobs, { mode, tiling }) {
+  const sizes = await readImageSizes(blobs);
+  const saverTiles = [];
+  let requests = 0;
+
+  for (const size of sizes) {
+    // 읽지 못하는 이미지는 실제 처리에서도 요청 없이 실패한다.
+    if (!size) continue;
+    if (mode === 'text' || mode === 'overlay') {
+      requests += 1;
+    } else if (tiling && shouldTile(size.width, size.height)) {
+      requests += planSegments(size.width, size.height).length;
+    } else if (mode === 'saver') {
+      saverTiles.push(saverTileSize(size.width, size.height));
+    } else {
+      requests += 1;
+    }
+  }
+
+  const sheets = buildSheets(saverTiles, { render: false }).map((sheet) => ({ fill: sheet.fill }));
+  return { requests: requests + sheets.length, sheets };
+}
+
+/**
+ * 효율 모드: 이미지를 읽을 수 있는 크기로 줄여 시트에 모아 시트 단위로 요청한다.
+ * 시트는 배치된 영역에 가장 가까운 지원 비율로 보낸다.
+ * 돌려받은 시트는 경계선을 기준으로 다시 맞춘 뒤 자르고, 정렬 점수가 낮은 타일은 일반 모드로 따로 보낸다.
+ * 인자와 반환값은 processNormalMode와 같다.
+ */
+export async function processSaverMode(sources, context, onResult) {
+  const tiles = [];
+  const results = [];
+  const tiledTasks = [];
+  const fallbackTasks = [];
+  const pushResult = (result) => {
+    results.push(result);
+    onResult?.(result);
+  };
+
+  for (const source of sources) {
+    try {
+      const dataUrl = await readAsDataUrl(source.blob);
+      const img = await loadImage(dataUrl);
+      if (context.tiling && shouldTile(img.width, img.height)) {
+        // 시트에 넣으면 최대 2048px 높이로 줄어 읽을 수 없으니 분할 모드로 따로 보낸다.
+        tiledTasks.push(
+          processTiled(source, img, context)
+            .catch((e) => toFailure(source, e))
+            .then(pushResult)
+        );
+        continue;
+      }
+      tiles.push({ source, baseName: stripExtension(source.fileName), img, ...saverTileSize(img.width, img.height) });
+    } catch (e) {
+      pushResult(toFailure(source, e));
+    }
+  }
+
+  if (!tiles.length) {
+    await Promise.all(tiledTasks);
+    return results;
+  }
+
+  const sheets = buildSheets(tiles);
+  const placedCount = sheets.reduce((sum, s) => sum + s.placements.length, 0);
+  if (placedCount !== tiles.length) {
+    throw new Error('배치 과정에서 일부 이미지가 누락되었습니다.');
+  }
+  context.onSheetsPlanned?.(sheets);
+
+  // 시트 id는 manifest에서 같은 요청으로 번역된 이미지를 묶어 보기 위한 값이다.
+  const runTag = Date.now().toString(36);
+  const tasks = sheets.map(async (sheet, sheetIndex) => {
+    const sheetId = `${runTag}-${sheetIndex + 1}`;
+    const timing = {};
+    let inspection;
+    try {
+      const sheetBlob = await canvasToBlob(sheet.canvas);
+      const sheetBase64 = await blobToDataUrl(sheetBlob);
+      const trimmedBase64 = sheetBase64.split(',')[1];
+      const imageOptions = getImageOptions(context, sheet.aspectRatio);
+      const translatedDataUrl = await requestTranslation(
+        context,
+        { imageBase64: trimmedBase64, mode: 'saver', imageOptions, label: `시트 ${sheetIndex + 1}` },
+        timing
+      );
+      const translatedImg = await loadImage(translatedDataUrl);
+      inspection = inspectCollage(translatedImg, sheet);
+    } catch (e) {
+      // 시트 요청이 실패하면 시트에 담긴 타일 전부가 실패로 기록된다.
+      sheet.placements.forEach((p) => pushResult({ ...toFailure(p.tile.source, e), sheetId }));
+      return;
+    }
+
+    for (const [i, placement] of sheet.placements.entries()) {
+      const { source } = placement.tile;
+      const check = inspection.checks[i];
+      if (!check.ok) {
+        // 시트에서 제대로 잘라낼 수 없는 타일은 일반 모드로 혼자 다시 보낸다.
+        fallbackTasks.push(
+          processSingleNormal(source, context)
+            .then((result) => ({ ...result, mode: 'normal', alignment: check.score }))
+            .catch((e) => ({ ...toFailure(source, e), alignment: check.score }))
+            .then(pushResult)
+        );
+        continue;
+      }
+      try {
+        const translatedBlob = await cropFromCollage(inspection.canvas, { ...placement, x: check.x, y: check.y });
+        pushResult({
+          id: source.id,
+          baseName: placement.tile.baseName,
+          fileName: source.fileName,
+          paddedBlob: await cropFromCollage(sheet.canvas, placement),
+          translatedBlob,
+          sheetId,
+          alignment: check.score,
+          ...timing,
+        });
+      } catch (e) {
+        pushResult({ ...toFailure(source, e), sheetId });
+      }
+    }
+  });
+
+  await Promise.all([...tasks, ...tiledTasks]);
+  // 일반 모드 재요청은 시트 결과를 확인한 뒤에야 생기므로 따로 기다린다.
+  await Promise.all(fallbackTasks);
+
+  return results;
+}
+
+function getImageOptions(context, aspectRatio) {
+  return {
+    ...context.translateOptions,
+    model: context.model,
+    imageSize: context.imageSize || '2K',
+    aspectRatio,
+  };
+}
+
+function toFailure(source, error) {
+  if (!error?.cancelled) console.error(source.fileName, error);
+  return {
+    id: source.id,
+    baseName: stripExtension(source.fileName),
+    fileName: source.fileName,
+    error: error?.message || String(error),
+    cancelled: Boolean(error?.cancelled),
+  };
+}
+
+/**
+ * 번역 캐시를 먼저 보고, 없을 때만 requestWithRetry로 요청한다.
+ * 캐시에서 가져온 횟수는 timing.cacheHits에 남겨 manifest에서 과금되지 않은 결과를 구분한다.
+ * @returns {Promise<string>} - 번역 이미지 data URL. 텍스트 추출 모드는 JSON 문자열
+ */
+async function requestTranslation(context, { imageBase64, mode, imageOptions, label }, timing) {
+  const request = mode === 'text' ? requestGeminiText : requestGeminiImage;
+  const { result, cached } = await withCache(context, { imageBase64, mode, imageOptions }, () =>
+    requestWithRetry(
+      context,
+      (apiKey, onProgress) => request(apiKey, imageBase64, { ...imageOptions, signal: context.signal, onProgress }),
+      timing,
+      mode,
+      label
+    )
+  );
+  if (cached) timing.cacheHits = (timing.cacheHits || 0) + 1;
+  return result;
+}
+
+/**
+ * 429/5xx, 이미지 없는 응답처럼 재시도 가능한 오류는 지수 백오프로 다시 요청한다.
+ * 작업이 취소되면 아직 보내지 않은 요청과 중간에 끊긴 요청은 cancelled 오류로 끝낸다.
+ * timing을 넘기면 첫 요청을 보낸 시각(requestedAt)과 보낸 요청 수(attempts)를 기록한다.
+ * 키가 일일 한도에 걸리면 다음 키로 바로 다시 보내고, 이때는 재시도 횟수를 세지 않는다.
+ * 보낸 요청마다 context.onRequestProgress로 응답 대기(waiting) → 받는 중(receiving) → 끝(finished)을 알린다.
+ * @param {Object} context
+ * @param {(apiKey: string, onProgress: Function) => Promise<T>} apiCall - onProgress는 Gemini 요청 옵션에 그대로 넘긴다.
+ * @param {Object} [timing]
+ * @param {string} [mode] - 요청 모드. 텍스트 추출·품질 검사 요청은 단가가 달라 onRequestSuccess에 함께 넘긴다.
+ * @param {string} [label] - 진행 상황에 보여줄 이름 (파일명, 시트 번호 등)
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function requestWithRetry(context, apiCall, timing = {}, mode = 'normal', label = '') {
+  const { scheduler, keyRing, isCancelled } = context;
+  let sent = 0;
+  // 요청을 실제로 내보내는 순간의 키를 쓴다. 대기하는 사이 다른 요청이 키를 바꿨을 수 있다.
+  const guardedCall = async () => {
+    if (isCancelled?.()) throw createCancelError();
+    const apiKey = keyRing.current();
+    if (!apiKey) throw new Error('등록한 API 키가 모두 오늘 한도에 도달했습니다.');
+    timing.requestedAt ??= Date.now();
+    timing.attempts = (timing.attempts || 0) + 1;
+    sent += 1;
+
+    requestSeq += 1;
+    const request = { id: requestSeq, label, mode, attempt: sent, startedAt: Date.now() };
+    context.onRequestProgress?.({ ...request, phase: 'waiting', bytes: 0 });
+    const onProgress = ({ bytes }) => context.onRequestProgress?.({ ...request, phase: 'receiving', bytes });
+    try {
+      return { result: await apiCall(apiKey.key, onProgress), keyId: apiKey.id };
+    } catch (e) {
+      if (e && typeof e === 'object') e.keyId = apiKey.id;
+      throw e;
+    } finally {
+      context.onRequestProgress?.({ ...request, phase: 'finished' });
+    }
+  };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const { result, keyId } = await scheduler.schedule(guardedCall);
+      context.onRequestSuccess?.(keyId, mode);
+      return result;
+    } catch (e) {
+      if (e?.cancelled) throw e;
+      if (e?.aborted || isCancelled?.()) throw createCancelError();
+      if (e?.dailyQuotaExceeded && keyRing.markExhausted(e.keyId)) {
+        attempt -= 1;
+        continue;
+      }
+      if (!e?.retryable || attempt >= MAX_ATTEMPTS) {
+        if (attempt > 1 && e instanceof Error) {
+          e.message = `${e.message} (${attempt}회 시도)`;
+        }
+        throw e;
+      }
+      const backoff = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      const jitter = Math.round(Math.random() * backoff * 0.2);
+      await sleep(Math.max(backoff + jitter, e.retryAfterMs || 0), context.signal);
+    }
+  }
+}
+
+export function createCancelError() {
+  const error = new Error('작업이 취소되었습니다.');
+  error.cancelled = true;
+  return error;
+}
+
+// signal이 끊기면 기다리지 않고 바로 돌아온다. 다음 요청 직전에 취소 여부를 다시 확인한다.
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+  });
+}
@@ -1,44 +1,493 @@
-import { requestGeminiImage } from './gemini.js';
+import {
+  clearCache,
+  clearQueue,
+  deleteJob,
+  getCacheSummary,
+  getLatestJob,
+  getSpendSummary,
+  listItems,
+  listJobs,
+  listQueue,
+  putItems,
+  putJob,
+} from './db.js';
+import { IMAGE_MODELS, resolveImageSize, validateApiKey } from './gemini.js';
+import { getPromptOptions, loadGlossary, loadPresets, loadSelectedPresetId, saveSelectedPresetId } from './glossary.js';
+import { DEFAULT_QA_THRESHOLD, planRequests } from './pipeline.js';
+import { checkBudget, estimateCost, formatUsd, getTextRequestPrice } from './pricing.js';
+import { describeSheetFill } from './sheets.js';
+import { encodeImage } from './image.js';
+import { addKey, getKeyStatus, loadKeys, migrateLegacyKey, unlockKeys } from './keystore.js';
+import { dedupeSources, isImageFile, readPastedFiles } from './sources.js';
+import {
+  downloadZip,
+  itemToResult,
+  loadOutputOptions,
+  prepareTextFile,
+  prepareTranslatedFile,
+  saveOutputOptions,
+} from './zip.js';
 
 const apiKeyInput = document.getElementById('apiKey');
+const addKeyButton = document.getElementById('addKey');
+const unlockRowEl = document.getElementById('unlockRow');
+const passphraseInput = document.getElementById('passphrase');
+const unlockKeysButton = document.getElementById('unlockKeys');
+const manageKeysButton = document.getElementById('manageKeys');
+const keySummaryEl = document.getElementById('keySummary');
 const folderInput = document.getElementById('folder');
 const runButton = document.getElementById('run');
 const progressEl = document.getElementById('progress');
 const statusEl = document.getElementById('status');
 const spinnerEl = document.getElementById('spinner');
 const saverModeInput = document.getElementById('saverMode');
+const textModeInput = document.getElementById('textMode');
+const tilingInput = document.getElementById('tiling');
 const modeLabel = document.getElementById('modeLabel');
-
+const sourceLangInput = document.getElementById('sourceLang');
+const targetLangInput = document.getElementById('targetLang');
+const maxConcurrentInput = document.getElementById('maxConcurrent');
+const requestsPerMinuteInput = document.getElementById('requestsPerMinute');
+const queueStatsEl = document.getElementById('queueStats');
+const requestListEl = document.getElementById('requestList');
+const jobActionsEl = document.getElementById('jobActions');
+const resumeButton = document.getElementById('resume');
+const pauseButton = document.getElementById('pause');
+const cancelButton = document.getElementById('cancel');
+const downloadButton = document.getElementById('download');
+const reviewButton = document.getElementById('review');
+const estimateEl = document.getElementById('estimate');
+const spendEl = document.getElementById('spend');
+const dailyBudgetInput = document.getElementById('dailyBudget');
+const monthlyBudgetInput = document.getElementById('monthlyBudget');
+const budgetActionInput = document.getElementById('budgetAction');
+const qaActionInput = document.getElementById('qaAction');
+const qaThresholdInput = document.getElementById('qaThreshold');
+const outputFormatInput = document.getElementById('outputFormat');
+const outputQualityInput = document.getElementById('outputQuality');
+const originalResolutionInput = document.getElementById('originalResolution');
+const keepOriginalNameInput = document.getElementById('keepOriginalName');
+const saveToFileInput = document.getElementById('saveToFile');
+const modelInput = document.getElementById('model');
+const imageSizeInput = document.getElementById('imageSize');
+const inputSizeInput = document.getElementById('inputSize');
+const validateKeyButton = document.getElementById('validateKey');
+const validateResultEl = document.getElementById('validateResult');
+const promptPresetInput = document.getElementById('promptPreset');
+const editPromptsButton = document.getElementById('editPrompts');
+const glossarySummaryEl = document.getElementById('glossarySummary');
+const openQueueButton = document.getElementById('openQueue');
+const queueSummaryEl = document.getElementById('queueSummary');
+const singleImageInput = document.getElementById('singleImage');
+const quickResultEl = document.getElementById('quickResult');
+const quickImageEl = document.getElementById('quickImage');
+const quickTextEl = document.getElementById('quickText');
+const copyImageButton = document.getElementById('copyImage');
+const saveImageButton = document.getElementById('saveImage');
+const openImageButton = document.getElementById('openImage');
+const cacheSettingsEl = document.getElementById('cacheSettings');
+const useCacheInput = document.getElementById('useCache');
+const clearCacheButton = document.getElementById('clearCache');
+const cacheSummaryEl = document.getElementById('cacheSummary');
+
+// 작업은 오프스크린 문서에서 돌고, 팝업은 IndexedDB의 작업 기록과 진행 메시지를 보여주기만 한다.
 const state = {
-  total: 0,
-  done: 0,
-  running: false,
+  job: null,
+  stats: null,
+  // 오프스크린 문서가 보낸 요청별 진행 상황. 실행 중일 때만 채워진다.
+  requests: [],
+  active: false,
+  // 대기열 화면에서 모아 둔 이미지. 폴더를 고르지 않았을 때 실행 대상이 된다.
+  queue: [],
+  // 한 장짜리 작업의 번역 결과. 출력 설정을 적용한 Blob과 미리보기 URL, 텍스트 추출이면 번역문.
+  quick: null,
 };
 
-const REQUEST_INTERVAL_MS = 3300;
-let lastRequestAt = 0;
+let estimateSeq = 0;
+const TAB_LOAD_TIMEOUT_MS = 3000;
+setInterval(() => {
+  if (state.active && state.requests.length) renderRequests();
+}, 1000);
 
 restoreSettings();
-runButton.addEventListener('click', onRun);
+initKeys();
+refreshJob();
+refreshQueue();
+renderSpend();
+runButton.addEventListener('click', () => onRun());
+addKeyButton.addEventListener('click', onAddKey);
+unlockKeysButton.addEventListener('click', onUnlockKeys);
+passphraseInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') onUnlockKeys();
+});
+manageKeysButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('keys.html') });
+});
+singleImageInput.addEventListener('change', () => {
+  const [file] = Array.from(singleImageInput.files || []).filter(isImageFile);
+  singleImageInput.value = '';
+  if (file) onRun({ sources: [toSingleSource(file)] });
+});
+document.addEventListener('paste', (e) => {
+  // 입력란에 붙여넣는 텍스트(API 키 등)는 그대로 두고 이미지만 가로챈다.
+  const [pasted] = readPastedFiles(e);
+  if (!pasted || state.active) return;
+  e.preventDefault();
+  onRun({ sources: [toSingleSource(pasted.file)] });
+});
+useCacheInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_use_cache', useCacheInput.checked ? '1' : '0');
+});
+// 캐시를 훑어 용량을 세는 일은 펼칠 때만 한다.
+cacheSettingsEl.addEventListener('toggle', () => {
+  if (cacheSettingsEl.open) renderCacheSummary();
+});
+clearCacheButton.addEventListener('click', onClearCache);
+copyImageButton.addEventListener('click', onCopyImage);
+saveImageButton.addEventListener('click', onSaveImage);
+openImageButton.addEventListener('click', onOpenImage);
+resumeButton.addEventListener('click', onResume);
+pauseButton.addEventListener('click', onPause);
+cancelButton.addEventListener('click', onCancel);
+downloadButton.addEventListener('click', () => onDownload());
+validateKeyButton.addEventListener('click', onValidateKey);
+editPromptsButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('prompts.html') });
+});
+promptPresetInput.addEventListener('change', () => {
+  saveSelectedPresetId(promptPresetInput.value);
+});
+openQueueButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('queue.html') });
+});
+reviewButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('review.html') });
+});
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'ui' || message.type !== 'job:update') return;
+  onJobUpdate(message.job, message.stats, message.requests);
+});
 saverModeInput.addEventListener('change', () => {
   localStorage.setItem('gemini_saver_mode', saverModeInput.checked ? '1' : '0');
   renderModeLabel();
+  renderEstimate();
+});
+textModeInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_text_mode', textModeInput.value);
+  renderModeLabel();
+  renderEstimate();
+});
+folderInput.addEventListener('change', renderEstimate);
+tilingInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_tiling', tilingInput.checked ? '1' : '0');
+  renderEstimate();
+});
+dailyBudgetInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_daily_budget', dailyBudgetInput.value);
+});
+monthlyBudgetInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_monthly_budget', monthlyBudgetInput.value);
+});
+budgetActionInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_budget_action', budgetActionInput.value);
+});
+qaActionInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_qa_action', qaActionInput.value);
+  renderEstimate();
+});
+qaThresholdInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_qa_threshold', qaThresholdInput.value);
+});
+const outputInputs = [
+  outputFormatInput,
+  outputQualityInput,
+  originalResolutionInput,
+  keepOriginalNameInput,
+  saveToFileInput,
+];
+outputInputs.forEach((input) => {
+  input.addEventListener('change', () => {
+    saveOutputOptions({
+      format: outputFormatInput.value,
+      quality: Math.min(100, Math.max(50, Number(outputQualityInput.value) || 90)) / 100,
+      originalResolution: originalResolutionInput.checked,
+      keepOriginalName: keepOriginalNameInput.checked,
+      saveToFile: saveToFileInput.checked,
+    });
+    renderOutputQuality();
+  });
+});
+modelInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_model', modelInput.value);
+  renderImageSizeOptions();
+  renderEstimate();
+});
+imageSizeInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_image_size', imageSizeInput.value);
+  renderEstimate();
+});
+inputSizeInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_input_size', inputSizeInput.value);
+});
+sourceLangInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_source_lang', sourceLangInput.value);
+});
+targetLangInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_target_lang', targetLangInput.value);
+});
+maxConcurrentInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_max_concurrent', maxConcurrentInput.value);
+});
+requestsPerMinuteInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_requests_per_minute', requestsPerMinuteInput.value);
 });
 
 function restoreSettings() {
-  const saved = localStorage.getItem('gemini_api_key');
-  if (saved) apiKeyInput.value = saved;
-
   const savedMode = localStorage.getItem('gemini_saver_mode');
   if (savedMode === '1') {
     saverModeInput.checked = true;
   }
+  textModeInput.value = localStorage.getItem('gemini_text_mode') || '';
+  // 지금은 없는 값이 저장돼 있으면 아무 항목도 선택되지 않으므로 기본값으로 돌린다.
+  if (textModeInput.selectedIndex === -1) textModeInput.value = '';
   renderModeLabel();
+  tilingInput.checked = localStorage.getItem('gemini_tiling') === '1';
+
+  const savedSource = localStorage.getItem('gemini_source_lang');
+  if (savedSource) sourceLangInput.value = savedSource;
+  const savedTarget = localStorage.getItem('gemini_target_lang');
+  if (savedTarget) targetLangInput.value = savedTarget;
+
+  const savedModel = localStorage.getItem('gemini_model');
+  if (savedModel && IMAGE_MODELS[savedModel]) modelInput.value = savedModel;
+  const savedImageSize = localStorage.getItem('gemini_image_size');
+  if (savedImageSize) imageSizeInput.value = savedImageSize;
+  const savedInputSize = localStorage.getItem('gemini_input_size');
+  if (savedInputSize) inputSizeInput.value = savedInputSize;
+  renderImageSizeOptions();
+  renderPromptSettings();
+
+  useCacheInput.checked = localStorage.getItem('gemini_use_cache') !== '0';
+
+  const savedConcurrent = localStorage.getItem('gemini_max_concurrent');
+  if (savedConcurrent) maxConcurrentInput.value = savedConcurrent;
+  const savedRpm = localStorage.getItem('gemini_requests_per_minute');
+  if (savedRpm) requestsPerMinuteInput.value = savedRpm;
+
+  const savedDaily = localStorage.getItem('gemini_daily_budget');
+  if (savedDaily) dailyBudgetInput.value = savedDaily;
+  const savedMonthly = localStorage.getItem('gemini_monthly_budget');
+  if (savedMonthly) monthlyBudgetInput.value = savedMonthly;
+  const savedAction = localStorage.getItem('gemini_budget_action');
+  if (savedAction) budgetActionInput.value = savedAction;
+  qaActionInput.value = localStorage.getItem('gemini_qa_action') || 'off';
+  qaThresholdInput.value = localStorage.getItem('gemini_qa_threshold') || String(DEFAULT_QA_THRESHOLD);
+
+  const output = loadOutputOptions();
+  outputFormatInput.value = output.format;
+  outputQualityInput.value = String(Math.round(output.quality * 100));
+  originalResolutionInput.checked = output.originalResolution;
+  keepOriginalNameInput.checked = output.keepOriginalName;
+  saveToFileInput.checked = output.saveToFile;
+  renderOutputQuality();
+}
+
+function renderOutputQuality() {
+  // PNG는 무손실이라 품질 값이 의미 없다. 원본 형식은 원본이 PNG가 아닐 수 있어 열어 둔다.
+  outputQualityInput.disabled = outputFormatInput.value === 'png';
+}
+
+// 모델이 지원하지 않는 출력 해상도는 고를 수 없게 막는다.
+function renderImageSizeOptions() {
+  const sizes = IMAGE_MODELS[modelInput.value].imageSizes;
+  Array.from(imageSizeInput.options).forEach((option) => {
+    option.disabled = !sizes.includes(option.value);
+  });
+  imageSizeInput.value = resolveImageSize(modelInput.value, imageSizeInput.value);
+}
+
+// 편집은 별도 탭에서 하므로 팝업에서는 프리셋 선택과 용어집 요약만 보여준다.
+function renderPromptSettings() {
+  promptPresetInput.innerHTML = '';
+  loadPresets().forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    promptPresetInput.appendChild(option);
+  });
+  promptPresetInput.value = loadSelectedPresetId();
+  if (!promptPresetInput.value) promptPresetInput.selectedIndex = 0;
+
+  const { terms, doNotTranslate } = loadGlossary();
+  glossarySummaryEl.textContent = `용어 ${terms.length}개 · 번역 제외 ${doNotTranslate.length}개`;
+}
+
+function getModelSettings() {
+  return {
+    model: modelInput.value,
+    imageSize: resolveImageSize(modelInput.value, imageSizeInput.value),
+    inputSize: inputSizeInput.value,
+  };
+}
+
+/**
+ * 폴더를 고르면 그 폴더의 이미지를, 고르지 않으면 대기열의 이미지를 실행 대상으로 삼는다.
+ * @returns {Array<{ blob: Blob, fileName: string, relativePath: string, mode: string|null, hash?: string }>}
+ */
+function getRunSources() {
+  const files = Array.from(folderInput.files || []).filter(isImageFile);
+  if (files.length) {
+    return files.map((file) => ({
+      blob: file,
+      fileName: file.name,
+      // 폴더 선택 시 '선택한폴더/하위폴더/파일명' 형태. ZIP 안에서 같은 구조를 유지한다.
+      relativePath: file.webkitRelativePath || file.name,
+      mode: null,
+    }));
+  }
+  return state.queue.map((entry) => ({
+    blob: entry.blob,
+    fileName: entry.fileName,
+    relativePath: entry.relativePath,
+    mode: entry.mode,
+    hash: entry.hash,
+  }));
+}
+
+function toSingleSource(file) {
+  return { blob: file, fileName: file.name, relativePath: file.name, mode: null };
+}
+
+async function refreshQueue() {
+  try {
+    state.queue = await listQueue();
+    queueSummaryEl.textContent = state.queue.length
+      ? `대기열 ${state.queue.length}장 (폴더를 고르지 않으면 대기열을 실행)`
+      : '대기열이 비어 있습니다.';
+    renderEstimate();
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// 팝업에서 고른 작업 모드. 텍스트 모델(텍스트만 추출·로컬 합성)을 고르면 일반·효율 선택보다 우선한다.
+function getRunMode() {
+  if (textModeInput.value) return textModeInput.value;
+  return saverModeInput.checked ? 'saver' : 'normal';
+}
+
+// 대기열 항목마다 모드를 지정할 수 있어 모드별로 나눠 요청 수와 비용을 센다. mode는 지정이 없는 항목의 모드.
+// 품질 검사 요청도 더하지만, 기준 미달로 다시 번역하는 비용은 미리 알 수 없어 넣지 않는다.
+async function planSources(sources, { mode, tiling, model, imageSize }) {
+  const plan = { requests: 0, usd: 0, sheets: [] };
+  for (const groupMode of ['normal', 'saver', 'text', 'overlay']) {
+    const blobs = sources.filter((s) => (s.mode || mode) === groupMode).map((s) => s.blob);
+    if (!blobs.length) continue;
+    const { requests, sheets } = await planRequests(blobs, { mode: groupMode, tiling });
+    plan.requests += requests;
+    plan.usd += estimateCost(requests, imageSize, model, groupMode).usd;
+    plan.sheets.push(...sheets);
+    // 품질 검사는 이미지 모델로 번역한 장마다 텍스트 모델 요청을 한 번 더 보낸다.
+    if (qaActionInput.value !== 'off' && (groupMode === 'normal' || groupMode === 'saver')) {
+      plan.requests += blobs.length;
+      plan.usd += blobs.length * getTextRequestPrice();
+    }
+  }
+  return plan;
+}
+
+async function renderEstimate() {
+  const sources = getRunSources();
+  const seq = ++estimateSeq;
+  if (!sources.length) {
+    estimateEl.textContent = '';
+    return;
+  }
+
+  estimateEl.textContent = '예상 비용 계산 중...';
+  const { requests, usd, sheets } = await planSources(sources, {
+    mode: getRunMode(),
+    tiling: tilingInput.checked,
+    ...getModelSettings(),
+  });
+  // 계산 중에 파일이나 모드가 바뀌었다면 늦게 끝난 결과는 버린다.
+  if (seq !== estimateSeq) return;
+
+  const unit = requests !== sources.length ? `${sources.length}장 → 요청 ${requests}회` : `${sources.length}장`;
+  const sheetText = sheets.length ? `\n시트 ${describeSheetFill(sheets)}` : '';
+  estimateEl.textContent = `예상 비용: ${unit}, 약 ${formatUsd(usd)}${sheetText}`;
+}
+
+async function renderCacheSummary() {
+  try {
+    const { count, bytes, oldestAt } = await getCacheSummary();
+    const since = oldestAt ? ` · ${new Date(oldestAt).toLocaleDateString()}부터` : '';
+    cacheSummaryEl.textContent = count ? `${count}건, ${formatBytes(bytes)}${since}` : '비어 있음';
+    clearCacheButton.disabled = !count;
+  } catch (e) {
+    console.error(e);
+    cacheSummaryEl.textContent = '캐시 정보를 읽지 못했습니다.';
+  }
+}
+
+async function onClearCache() {
+  if (!confirm('저장된 번역 결과를 모두 지울까요? 같은 이미지를 다시 번역하면 비용이 듭니다.')) return;
+  try {
+    await clearCache();
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '캐시를 비우지 못했습니다.');
+  }
+  await renderCacheSummary();
 }
 
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  return `${Math.round(bytes / 1024)}KB`;
+}
+
+async function renderSpend() {
+  try {
+    const spend = await getSpendSummary();
+    const jobText = state.job?.spentUsd ? `이번 작업 ${formatUsd(state.job.spentUsd)} · ` : '';
+    spendEl.textContent = `${jobText}오늘 ${formatUsd(spend.todayUsd)} · 이번 달 ${formatUsd(spend.monthUsd)}`;
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/**
+ * 예산을 넘는 실행이면 설정에 따라 막거나 확인을 받는다. 진행해도 되면 true.
+ */
+async function confirmBudget(sources, { mode, tiling, model, imageSize }) {
+  const budget = {
+    daily: Number(dailyBudgetInput.value) || 0,
+    monthly: Number(monthlyBudgetInput.value) || 0,
+  };
+  if (!budget.daily && !budget.monthly) return true;
+
+  const { usd } = await planSources(sources, { mode, tiling, model, imageSize });
+  const spend = await getSpendSummary();
+  const message = checkBudget({ estimateUsd: usd, spend, budget });
+  if (!message) return true;
+
+  if (budgetActionInput.value === 'block') {
+    setStatus(`${message}\n예산 설정을 조정한 뒤 다시 실행해주세요.`);
+    return false;
+  }
+  return confirm(`${message}\n그래도 실행할까요?`);
+}
+
+const TEXT_MODE_LABELS = { text: '텍스트 추출', overlay: '로컬 합성' };
+
 function renderModeLabel() {
+  // 텍스트 모델은 이미지 한 장을 통째로 한 번에 보내므로 효율 모드·분할 번역이 의미 없다.
+  saverModeInput.disabled = Boolean(textModeInput.value);
+  tilingInput.disabled = Boolean(textModeInput.value);
   if (!modeLabel) return;
-  modeLabel.textContent = saverModeInput.checked ? '효율' : '일반';
+  // 텍스트 모드가 켜져 있으면 효율 모드 체크와 상관없이 실제로 돌 모드를 보여 준다.
+  modeLabel.textContent = TEXT_MODE_LABELS[textModeInput.value] || (saverModeInput.checked ? '효율' : '일반');
 }
 
 function setStatus(message) {
@@ -46,558 +495,603 @@ function setStatus(message) {
 }
 
 function renderProgress() {
-  if (!state.total) {
+  const { job } = state;
+  if (!job?.total) {
     progressEl.textContent = '대기 중';
     return;
   }
-  progressEl.textContent = `${state.done}/${state.total}`;
+  const failedText = job.failed ? ` (실패 ${job.failed})` : '';
+  progressEl.textContent = `${job.done + job.failed}/${job.total}${failedText}`;
+}
+
+function renderQueueStats(stats) {
+  if (!queueStatsEl) return;
+  if (!stats) {
+    queueStatsEl.textContent = '';
+    return;
+  }
+  queueStatsEl.textContent = `대기 ${stats.queued} · 진행 ${stats.inFlight} · 완료 ${stats.completed}`;
+}
+
+const REQUEST_LIST_LIMIT = 4;
+const REQUEST_MODE_LABELS = { normal: '일반', saver: '효율', text: '텍스트', check: '품질 검사' };
+
+// 보낸 요청마다 응답을 기다리는지, 받는 중이면 얼마나 받았는지 보여준다. 경과 시간은 1초마다 다시 그린다.
+function renderRequests() {
+  if (!requestListEl) return;
+  const requests = state.active ? state.requests : [];
+  const lines = requests.slice(0, REQUEST_LIST_LIMIT).map((request) => {
+    const elapsed = Math.max(0, Math.round((Date.now() - request.startedAt) / 1000));
+    const phase =
+      request.phase === 'receiving' ? `받는 중 ${formatBytes(request.bytes)}` : `응답 기다리는 중 ${elapsed}초`;
+    const retry = request.attempt > 1 ? ` · 재시도 ${request.attempt - 1}` : '';
+    const mode = REQUEST_MODE_LABELS[request.mode] ? `[${REQUEST_MODE_LABELS[request.mode]}] ` : '';
+    return `${mode}${request.label || `요청 ${request.id}`} · ${phase}${retry}`;
+  });
+  if (requests.length > REQUEST_LIST_LIMIT) lines.push(`외 ${requests.length - REQUEST_LIST_LIMIT}개 요청`);
+  requestListEl.textContent = lines.join('\n');
+  requestListEl.hidden = !lines.length;
 }
 
 function renderSpinner() {
   if (!spinnerEl) return;
-  if (state.running) {
+  if (state.active) {
     spinnerEl.classList.add('show');
   } else {
     spinnerEl.classList.remove('show');
   }
 }
 
-async function onRun() {
-  const apiKey = apiKeyInput.value.trim();
-  const files = Array.from(folderInput.files || []).filter((f) => f.type.startsWith('image/'));
-  const saverMode = saverModeInput.checked;
+function renderJobActions() {
+  const { job, active } = state;
+  runButton.disabled = active;
+  cancelButton.hidden = !active;
+  pauseButton.hidden = !active;
+  pauseButton.textContent = job?.paused ? '계속' : '일시정지';
+  // 끝난 작업이라도 실패한 이미지가 있으면 다시 보낼 수 있게 한다.
+  resumeButton.hidden = active || !job || (job.status === 'done' && !job.failed);
+  resumeButton.textContent = job?.status === 'done' ? '실패 항목 재시도' : '이어하기';
+  downloadButton.hidden = !job?.done;
+  reviewButton.hidden = !job?.done;
+  jobActionsEl.hidden = cancelButton.hidden && resumeButton.hidden && downloadButton.hidden;
+}
 
-  if (!apiKey) {
-    setStatus('API 키를 입력해주세요.');
-    return;
-  }
+function render() {
+  renderProgress();
+  renderSpinner();
+  renderQueueStats(state.active ? state.stats : null);
+  renderRequests();
+  renderJobActions();
+}
 
-  if (!files.length) {
-    setStatus('이미지 폴더를 선택해주세요.');
-    return;
+function describeJob(job, active) {
+  if (!job) return '';
+  if (active && job.paused) {
+    return '일시정지했습니다. 이미 보낸 요청만 마저 받고, 계속을 누르면 남은 이미지를 보냅니다.';
+  }
+  if (active) {
+    const sheetText = job.sheets?.length ? `\n시트 ${describeSheetFill(job.sheets)}` : '';
+    return `처리 중... 팝업을 닫아도 계속 진행됩니다.${sheetText}`;
   }
+  if (job.status === 'done') {
+    const costText = job.spentUsd ? ` (실제 비용 ${formatUsd(job.spentUsd)})` : '';
+    const summary = job.failed
+      ? `${job.done}개 완료, ${job.failed}개 실패했습니다.${costText}`
+      : `모든 처리가 완료되었습니다.${costText}`;
+    return [summary, describeQuality(job)].filter(Boolean).join('\n');
+  }
+  if (job.status === 'cancelled') return '작업이 취소되었습니다. 이어하기로 남은 이미지를 처리할 수 있습니다.';
+  return '중단된 작업이 있습니다. 이어하기로 남은 이미지를 처리할 수 있습니다.';
+}
 
-  localStorage.setItem('gemini_api_key', apiKey);
+const QA_LIST_LIMIT = 10;
 
-  state.total = files.length;
-  state.done = 0;
-  state.running = true;
-  renderProgress();
-  renderSpinner();
-  setStatus('처리 중...');
-  runButton.disabled = true;
+// 품질 검사에서 기준 미달로 남은 항목. 검사하지 않았거나 모두 통과했으면 빈 문자열.
+function describeQuality(job) {
+  const flagged = job?.qaFlagged || [];
+  if (!flagged.length) return '';
+  const lines = flagged.slice(0, QA_LIST_LIMIT).map((entry) => {
+    const leftover = entry.leftover ? `, 남은 원문 ${entry.leftover}곳` : '';
+    return `- ${entry.fileName}: ${entry.score}점${leftover}${entry.retried ? ' (다시 번역 후)' : ''}`;
+  });
+  if (flagged.length > QA_LIST_LIMIT) lines.push(`- 외 ${flagged.length - QA_LIST_LIMIT}개`);
+  return `품질 기준 미달 ${flagged.length}개 (검토 화면에서 확인해주세요)\n${lines.join('\n')}`;
+}
 
-  const onProgress = () => {
-    state.done += 1;
-    renderProgress();
-  };
+async function sendToBackground(message) {
+  const response = await chrome.runtime.sendMessage({ ...message, target: 'background' });
+  if (response?.error) throw new Error(response.error);
+  return response;
+}
 
+/**
+ * 마지막 작업을 불러오고, 오프스크린 문서에서 실제로 돌고 있는지 확인한다.
+ * 기록상 실행 중이어도 브라우저가 재시작되었다면 중단된 작업으로 보여준다.
+ */
+async function refreshJob() {
   try {
-    const results = saverMode
-      ? await processSaverMode(files, apiKey, onProgress)
-      : await processNormalMode(files, apiKey, onProgress);
-
-    await downloadZip(results);
-    setStatus('모든 처리가 완료되었습니다.');
+    const job = await getLatestJob();
+    const query = job ? await sendToBackground({ type: 'job:query' }) : null;
+    state.job = job;
+    state.active = Boolean(job && query?.activeJobId === job.id);
+    state.stats = state.active ? query.stats : null;
+    state.requests = state.active ? query.requests || [] : [];
+    render();
+    setStatus(describeJob(job, state.active));
+    if (!state.active) await renderQuickResult();
   } catch (e) {
     console.error(e);
-    setStatus(e?.message || '처리 중 오류가 발생했습니다.');
-  } finally {
-    runButton.disabled = false;
-    state.running = false;
-    renderSpinner();
+    setStatus(e?.message || '작업 정보를 불러오지 못했습니다.');
   }
 }
 
-async function processNormalMode(files, apiKey, onProgress) {
-  const tasks = files.map((file) =>
-    processSingleNormal(file, apiKey).then((result) => {
-      onProgress?.();
-      return result;
-    })
-  );
-  return await Promise.all(tasks);
-}
+async function onJobUpdate(job, stats, requests = []) {
+  if (state.job && job.id !== state.job.id) return;
 
-async function processSingleNormal(file, apiKey) {
-  const baseName = stripExtension(file.name);
-  const targetSize = 2048;
-  const { paddedBlob, resizedBlob, meta } = await resizeAndPad(file, targetSize);
-  if (!paddedBlob || !resizedBlob) throw new Error('이미지 변환에 실패했습니다.');
+  const wasActive = state.active;
+  state.job = job;
+  state.active = job.status === 'running';
+  state.stats = stats;
+  state.requests = requests;
+  render();
+  renderSpend();
 
-  const paddedBase64 = await blobToDataUrl(paddedBlob);
-  const trimmedBase64 = paddedBase64.split(',')[1];
-  const translatedBase64 = await requestWithThrottle(() =>
-    requestGeminiImage(apiKey, trimmedBase64, { imageSize: '2K' })
-  );
-  const translatedBlob = await cropTranslated(translatedBase64, meta);
+  if (state.active) {
+    setStatus(describeJob(job, true));
+    return;
+  }
 
-  return {
-    baseName,
-    paddedBlob: resizedBlob,
-    translatedBlob,
-  };
+  if (wasActive && job.status === 'done' && !isSingleImageJob(job)) {
+    // 팝업이 열린 채로 끝났다면 예전처럼 바로 ZIP을 내려받는다.
+    await onDownload({ auto: true });
+    return;
+  }
+  setStatus(job.error || describeJob(job, false));
+  if (wasActive && job.status === 'cancelled' && job.done && !isSingleImageJob(job)) {
+    if (confirm(`완료된 ${job.done}개를 지금 다운로드할까요?`)) await onDownload();
+    return;
+  }
+  await renderQuickResult();
 }
 
-async function processSaverMode(files, apiKey, onProgress) {
-  const tiles = [];
-  for (const file of files) {
-    const baseName = stripExtension(file.name);
-    const dataUrl = await readAsDataUrl(file);
-    const img = await loadImage(dataUrl);
-    const scaled = scaleForSaver(img);
-    const blob = await canvasToBlob(scaled.canvas);
-    tiles.push({ baseName, ...scaled, blob });
-  }
-
-  const sheets = buildSheets(tiles);
-  const placedCount = sheets.reduce((sum, s) => sum + s.placements.length, 0);
-  if (placedCount !== tiles.length) {
-    throw new Error('배치 과정에서 일부 이미지가 누락되었습니다.');
-  }
-  const results = [];
-
-  const tasks = sheets.map(async (sheet) => {
-    const sheetBlob = await canvasToBlob(sheet.canvas);
-    const sheetBase64 = await blobToDataUrl(sheetBlob);
-    const trimmedBase64 = sheetBase64.split(',')[1];
-    const translatedBase64 = await requestWithThrottle(() =>
-      requestGeminiImage(apiKey, trimmedBase64, { imageSize: '2K' })
-    );
-    const translatedImg = await loadImage(`data:image/png;base64,${translatedBase64}`);
-
-    for (const placement of sheet.placements) {
-      const translatedBlob = await cropFromCollage(translatedImg, placement);
-      results.push({
-        baseName: placement.tile.baseName,
-        paddedBlob: placement.tile.blob,
-        translatedBlob,
-      });
-      onProgress?.();
-    }
-  });
+function isSingleImageJob(job) {
+  return Boolean(job?.single) && job.total === 1 && job.done === 1;
+}
 
-  await Promise.all(tasks);
-
-  return results;
-}
-
-function scaleForSaver(img) {
-  const targetWidth = 1000;
-  const maxHeight = 2048;
-  const scale = Math.min(targetWidth / (img.width || 1), maxHeight / (img.height || 1));
-  let width = Math.max(1, Math.round(img.width * scale));
-  let height = Math.max(1, Math.round(img.height * scale));
-  height = Math.min(height, maxHeight);
-
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, 0, 0, width, height);
-
-  return { canvas, width, height };
-}
-
-function buildSheets(tiles) {
-  const maxWidth = 2048;
-  const maxHeight = 2048;
-  const cols = 2;
-  const cellWidth = 1000;
-  const rowGap = 10;
-  const gapTotal = maxWidth - cols * cellWidth; // 48px
-  const gapCount = cols - 1;
-  const baseGap = Math.floor(gapTotal / gapCount);
-  const remainder = gapTotal - baseGap * gapCount;
-  const gapWidths = Array.from({ length: gapCount }, (_, i) => baseGap + (i < remainder ? 1 : 0));
-
-  const xPositions = [];
-  let cursorX = 0;
-  for (let col = 0; col < cols; col += 1) {
-    xPositions.push(cursorX);
-    if (col < gapCount) {
-      cursorX += cellWidth + gapWidths[col];
-    }
-  }
+// 한 장짜리 작업은 ZIP을 만들지 않고 출력 설정을 적용한 결과를 팝업에 바로 보여준다.
+async function renderQuickResult() {
+  clearQuickResult();
+  const { job } = state;
+  if (!isSingleImageJob(job)) return;
 
-  // 높이 내림차순 정렬 후, 두 컬럼에 남는 세로 공간까지 채우는 선반 방식
-  const sortedTiles = [...tiles].sort((a, b) => b.height - a.height);
-
-  const sheets = [];
-
-  while (sortedTiles.length) {
-    const sheetPlacements = [];
-    const columns = [
-      { heightUsed: 0, count: 0 },
-      { heightUsed: 0, count: 0 },
-    ];
-
-    let placedInThisSheet = true;
-    while (placedInThisSheet && sortedTiles.length) {
-      placedInThisSheet = false;
-
-      for (let i = 0; i < sortedTiles.length; i += 1) {
-        const tile = sortedTiles[i];
-        const fits = [];
-
-        for (let colIndex = 0; colIndex < cols; colIndex += 1) {
-          const col = columns[colIndex];
-          const gap = col.count > 0 ? rowGap : 0;
-          const y = col.heightUsed + gap;
-          const remaining = maxHeight - y;
-          if (remaining >= tile.height) {
-            fits.push({
-              colIndex,
-              y,
-              gapStart: col.count > 0 ? col.heightUsed : null,
-              leftover: remaining - tile.height,
-            });
-          }
-        }
-
-        if (!fits.length) {
-          continue;
-        }
-
-        // 가장 딱 맞는(col leftover 최소) 컬럼에 배치
-        fits.sort((a, b) => a.leftover - b.leftover || a.colIndex - b.colIndex);
-        const chosen = fits[0];
-        const col = columns[chosen.colIndex];
-        const cellX = xPositions[chosen.colIndex];
-        const drawX = cellX + Math.floor((cellWidth - tile.width) / 2);
-        const drawY = chosen.y;
-
-        sheetPlacements.push({
-          tile,
-          x: drawX,
-          y: drawY,
-          width: tile.width,
-          height: tile.height,
-          colIndex: chosen.colIndex,
-          gapStart: chosen.gapStart,
-        });
-
-        col.heightUsed = drawY + tile.height;
-        col.count += 1;
-
-        sortedTiles.splice(i, 1);
-        placedInThisSheet = true;
-        break; // 타일 목록이 바뀌었으니 처음부터 다시 스캔
-      }
+  try {
+    const [item] = await listItems(job.id);
+    if (item?.status !== 'done') return;
+    const result = itemToResult(item);
+    // 텍스트 추출만 한 항목은 번역 이미지 대신 번역문을 보여준다.
+    const textOnly = !result.translatedBlob && result.textBlocks;
+    const file = textOnly ? prepareTextFile(result) : await prepareTranslatedFile(result);
+    // 읽는 사이 다른 작업이 시작되었다면 보여주지 않는다.
+    if (state.job?.id !== job.id) return;
+    state.quick = { ...file, url: URL.createObjectURL(file.blob) };
+    if (textOnly) {
+      state.quick.text = result.textBlocks.map((block) => block.translation).join('\n');
+      quickTextEl.textContent = state.quick.text || '번역할 텍스트를 찾지 못했습니다.';
+    } else {
+      quickImageEl.src = state.quick.url;
     }
+    quickImageEl.hidden = textOnly;
+    quickTextEl.hidden = !textOnly;
+    // CSV는 탭에서 열면 내려받기가 되므로 이미지일 때만 연다.
+    openImageButton.hidden = textOnly;
+    quickResultEl.hidden = false;
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '번역 결과를 불러오지 못했습니다.');
+  }
+}
 
-    if (!sheetPlacements.length) {
-      throw new Error('타일 배치에 실패했습니다.');
-    }
+function clearQuickResult() {
+  if (state.quick) URL.revokeObjectURL(state.quick.url);
+  state.quick = null;
+  quickResultEl.hidden = true;
+  quickImageEl.removeAttribute('src');
+  quickTextEl.textContent = '';
+}
 
-    sheets.push({ placements: sheetPlacements });
+/**
+ * 번역 이미지를 새 탭에서 연다. 새 탭이 앞으로 오면 팝업이 닫히며 object URL도 사라지므로,
+ * 뒤에서 다 읽힌 뒤에 탭을 앞으로 가져온다.
+ */
+async function onOpenImage() {
+  if (!state.quick) return;
+  try {
+    const tab = await chrome.tabs.create({ url: state.quick.url, active: false });
+    await waitForTabLoad(tab.id);
+    await chrome.tabs.update(tab.id, { active: true });
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '새 탭에서 열지 못했습니다.');
   }
+}
 
-  // 실제 렌더링 및 경계선 처리
-  sheets.forEach((s) => {
-    const canvas = document.createElement('canvas');
-    canvas.width = maxWidth;
-    canvas.height = maxHeight;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, maxWidth, maxHeight);
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    // 로드 완료 알림을 놓쳐도 멈춰 있지 않도록 잠시 뒤에는 그냥 넘어간다.
+    const timer = setTimeout(done, TAB_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    function onUpdated(id, changeInfo) {
+      if (id === tabId && changeInfo.status === 'complete') done();
+    }
+    function done() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      resolve();
+    }
+  });
+}
 
-    // 세로 경계선
-    for (let g = 0; g < gapWidths.length; g += 1) {
-      const startX = xPositions[g] + cellWidth;
-      ctx.fillStyle = '#000000';
-      ctx.fillRect(startX, 0, gapWidths[g], maxHeight);
+async function onCopyImage() {
+  if (!state.quick) return;
+  if (state.quick.text != null) {
+    try {
+      await navigator.clipboard.writeText(state.quick.text);
+      setStatus('번역문을 클립보드에 복사했습니다.');
+    } catch (e) {
+      console.error(e);
+      setStatus('클립보드에 복사하지 못했습니다.');
     }
+    return;
+  }
+  try {
+    // 클립보드는 PNG만 확실히 받으므로 다른 형식이면 PNG로 바꿔 넣는다.
+    const { blob } = state.quick;
+    const png = blob.type === 'image/png' ? blob : await encodeImage(blob, { type: 'image/png' });
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+    setStatus('번역 이미지를 클립보드에 복사했습니다.');
+  } catch (e) {
+    console.error(e);
+    setStatus('클립보드에 복사하지 못했습니다.');
+  }
+}
 
-    // 타일과 가로 경계선(열 내부) 렌더
-    s.placements
-      .sort((a, b) => a.y - b.y)
-      .forEach((p) => {
-        if (p.gapStart != null) {
-          ctx.fillStyle = '#000000';
-          ctx.fillRect(xPositions[p.colIndex], p.gapStart, cellWidth, rowGap);
-        }
-        ctx.drawImage(p.tile.canvas, p.x, p.y, p.width, p.height);
+async function onSaveImage() {
+  if (!state.quick) return;
+  const { blob, fileName, url } = state.quick;
+  if (typeof window.showSaveFilePicker === 'function') {
+    try {
+      const ext = fileName.slice(fileName.lastIndexOf('.'));
+      const handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: state.quick.text != null ? 'CSV 파일' : '이미지', accept: { [blob.type]: [ext] } }],
       });
+      const writable = await handle.createWritable();
+      await writable.write(blob);
+      await writable.close();
+      setStatus(`${handle.name}(으)로 저장했습니다.`);
+      return;
+    } catch (e) {
+      if (e?.name === 'AbortError') return;
+      console.error(e);
+    }
+  }
 
-    s.canvas = canvas;
-  });
-
-  return sheets;
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
 }
 
-async function resizeAndPad(file, targetSize) {
-  const dataUrl = await readAsDataUrl(file);
-  const img = await loadImage(dataUrl);
+/**
+ * @param {Object} [options]
+ * @param {Object[]} [options.sources] - 한 장 빠른 번역처럼 폴더·대기열 대신 쓸 이미지
+ */
+async function onRun({ sources: picked } = {}) {
+  const sources = picked || getRunSources();
+  const fromQueue = !picked && !Array.from(folderInput.files || []).some(isImageFile);
+  // 프롬프트·용어집은 실행 시점 값을 작업 설정에 담아, 다시 번역할 때도 같은 규칙을 쓴다.
+  const translateOptions = {
+    sourceLang: sourceLangInput.value,
+    targetLang: targetLangInput.value,
+    ...getPromptOptions(),
+  };
+
+  if (!sources.length) {
+    setStatus('이미지 폴더를 선택하거나 대기열에 이미지를 추가해주세요.');
+    return;
+  }
+
+  if (translateOptions.sourceLang === translateOptions.targetLang) {
+    setStatus('원문 언어와 번역 언어를 다르게 선택해주세요.');
+    return;
+  }
 
-  const maxSide = Math.max(img.width, img.height) || 1;
-  const scale = targetSize / maxSide;
-  const targetW = Math.round(img.width * scale);
-  const targetH = Math.round(img.height * scale);
-  const dx = Math.round((targetSize - targetW) / 2);
-  const dy = Math.round((targetSize - targetH) / 2);
+  const keys = await loadRunKeys();
+  if (!keys) return;
 
-  const canvas = document.createElement('canvas');
-  canvas.width = targetSize;
-  canvas.height = targetSize;
+  const previous = state.job;
+  const notDownloaded =
+    previous?.done > 0 && localStorage.getItem('gemini_downloaded_job') !== previous.id;
+  if (notDownloaded && !confirm('이전 작업 결과를 아직 다운로드하지 않았습니다. 삭제하고 새로 시작할까요?')) {
+    return;
+  }
 
-  const ctx = canvas.getContext('2d');
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, targetSize, targetSize);
-  ctx.drawImage(img, dx, dy, targetW, targetH);
+  // 비용을 쓰기 전에 내용이 같은 이미지를 거른다.
+  setStatus('같은 이미지를 확인하는 중...');
+  let unique;
+  let duplicates;
+  try {
+    ({ unique, duplicates } = await dedupeSources(sources));
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '이미지를 읽지 못했습니다.');
+    return;
+  }
+  setStatus('');
 
-  const paddedBlob = await canvasToBlob(canvas);
+  const mode = getRunMode();
+  const tiling = tilingInput.checked;
+  const modelSettings = getModelSettings();
+  if (!(await confirmBudget(unique, { mode, tiling, ...modelSettings }))) return;
 
-  const cropCanvas = document.createElement('canvas');
-  cropCanvas.width = targetW;
-  cropCanvas.height = targetH;
-  const cropCtx = cropCanvas.getContext('2d');
-  cropCtx.drawImage(canvas, dx, dy, targetW, targetH, 0, 0, targetW, targetH);
-  const resizedBlob = await canvasToBlob(cropCanvas);
+  clearQuickResult();
+  runButton.disabled = true;
+  setStatus('작업을 준비하는 중...');
 
-  return {
-    paddedBlob,
-    resizedBlob,
-    meta: { dx, dy, targetW, targetH },
-  };
-}
+  try {
+    // 이전 작업의 원본·결과 Blob이 쌓이지 않도록 새 작업을 만들기 전에 지운다.
+    for (const job of await listJobs()) {
+      await deleteJob(job.id);
+    }
 
-async function requestWithThrottle(apiCall) {
-  const now = Date.now();
-  const wait = Math.max(0, REQUEST_INTERVAL_MS - (now - lastRequestAt));
-  if (wait > 0) {
-    await sleep(wait);
+    const now = Date.now();
+    const job = {
+      id: `job-${now}`,
+      createdAt: now,
+      updatedAt: now,
+      status: 'pending',
+      mode,
+      // 붙여넣기·파일 하나로 실행한 작업. 폴더에 이미지가 한 장뿐이어도 ZIP으로 내려받도록 구분한다.
+      single: Boolean(picked),
+      settings: {
+        translateOptions,
+        ...modelSettings,
+        tiling,
+        useCache: useCacheInput.checked,
+        maxConcurrent: Number(maxConcurrentInput.value),
+        requestsPerMinute: Number(requestsPerMinuteInput.value),
+        qaAction: qaActionInput.value,
+        qaThreshold: Math.min(100, Math.max(1, Number(qaThresholdInput.value) || DEFAULT_QA_THRESHOLD)),
+      },
+      total: unique.length,
+      done: 0,
+      failed: 0,
+    };
+    const items = unique.map((source, index) => ({
+      id: `${job.id}:${index}`,
+      jobId: job.id,
+      index,
+      fileName: source.fileName,
+      relativePath: source.relativePath,
+      sourceBlob: source.blob,
+      hash: source.hash,
+      // 대기열에서 항목별로 고른 모드. null이면 작업 모드(job.mode)를 따른다.
+      requestedMode: source.mode,
+      status: 'pending',
+      error: null,
+    }));
+
+    await putJob(job);
+    await putItems(items);
+    state.job = job;
+    state.stats = null;
+    state.requests = [];
+    render();
+
+    await sendToBackground({ type: 'job:start', jobId: job.id, keys });
+    if (fromQueue) {
+      await clearQueue();
+      await refreshQueue();
+    }
+    if (duplicates.length) {
+      setStatus(`${describeJob(job, true)}\n같은 이미지 ${duplicates.length}개는 건너뛰었습니다.`);
+    }
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '처리 중 오류가 발생했습니다.');
+    runButton.disabled = state.active;
   }
-  const result = await apiCall();
-  lastRequestAt = Date.now();
-  return result;
 }
 
-async function cropTranslated(base64, meta) {
-  const dataUrl = `data:image/png;base64,${base64}`;
-  const img = await loadImage(dataUrl);
+async function onResume() {
+  if (!state.job) return;
 
-  const { dx, dy, targetW, targetH } = meta;
-  const canvas = document.createElement('canvas');
-  canvas.width = targetW;
-  canvas.height = targetH;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, -dx, -dy);
-
-  return await canvasToBlob(canvas);
+  try {
+    const remaining = (await listItems(state.job.id)).filter((item) => item.status !== 'done');
+    const sources = remaining.map((item) => ({ blob: item.sourceBlob, mode: item.requestedMode }));
+    const { mode, settings } = state.job;
+    if (!(await confirmBudget(sources, { mode, ...settings }))) return;
+
+    const keys = await loadRunKeys();
+    if (!keys) return;
+    await sendToBackground({ type: 'job:start', jobId: state.job.id, keys });
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '작업을 이어가지 못했습니다.');
+  }
 }
 
-async function cropFromCollage(img, placement) {
-  const canvas = document.createElement('canvas');
-  canvas.width = placement.width;
-  canvas.height = placement.height;
-  const ctx = canvas.getContext('2d');
-  ctx.drawImage(img, -placement.x, -placement.y);
-  return await canvasToBlob(canvas);
+// 입력란의 키가 있으면 그 키를, 없으면 처음 쓰게 될 등록된 키를 확인한다.
+async function onValidateKey() {
+  validateKeyButton.disabled = true;
+  validateResultEl.textContent = '확인 중...';
+  try {
+    const apiKey = apiKeyInput.value.trim() || (await loadKeys())[0]?.key;
+    if (!apiKey) {
+      validateResultEl.textContent = 'API 키를 추가해주세요.';
+      return;
+    }
+    const { displayName } = await validateApiKey(apiKey, modelInput.value);
+    validateResultEl.textContent = `사용 가능: ${displayName}`;
+  } catch (e) {
+    console.error(e);
+    validateResultEl.textContent = e?.message || '키를 확인하지 못했습니다.';
+  } finally {
+    validateKeyButton.disabled = false;
+  }
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+async function initKeys() {
+  try {
+    // 예전 버전이 localStorage에 평문으로 두던 키를 옮긴다.
+    if (await migrateLegacyKey(localStorage.getItem('gemini_api_key'))) {
+      localStorage.removeItem('gemini_api_key');
+    }
+  } catch (e) {
+    console.error(e);
+  }
+  await renderKeyStatus();
 }
 
-async function downloadZip(items) {
-  const files = [];
-  const nameCount = new Map();
-
-  const withUniqueName = (base, suffix) => {
-    const key = `${base}${suffix || ''}`;
-    const count = nameCount.get(key) || 0;
-    nameCount.set(key, count + 1);
-    return count === 0 ? `${key}.png` : `${key}-${count}.png`;
-  };
-
-  for (const item of items) {
-    const originalName = withUniqueName(item.baseName, '');
-    const translatedName = withUniqueName(item.baseName, '-(translate)');
-    files.push({ name: originalName, blob: item.paddedBlob });
-    files.push({ name: translatedName, blob: item.translatedBlob });
+async function renderKeyStatus() {
+  try {
+    const { count, encrypted, locked } = await getKeyStatus();
+    unlockRowEl.hidden = !locked;
+    if (locked) {
+      keySummaryEl.textContent = '암호로 잠겨 있습니다.';
+    } else if (!count) {
+      keySummaryEl.textContent = '등록된 키가 없습니다.';
+    } else {
+      keySummaryEl.textContent = `키 ${count}개${encrypted ? ' · 암호화됨' : ''}`;
+    }
+  } catch (e) {
+    console.error(e);
+    keySummaryEl.textContent = e?.message || '키 정보를 읽지 못했습니다.';
   }
+}
 
-  const zipBlob = await buildZip(files);
-  const url = URL.createObjectURL(zipBlob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'translated-images.zip';
-  a.click();
-  URL.revokeObjectURL(url);
+async function onAddKey() {
+  try {
+    await addKey(apiKeyInput.value);
+    apiKeyInput.value = '';
+    setStatus('API 키를 추가했습니다.');
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || 'API 키를 추가하지 못했습니다.');
+  }
+  await renderKeyStatus();
 }
 
-function stripExtension(name) {
-  const lastDot = name.lastIndexOf('.');
-  if (lastDot === -1) return name;
-  return name.slice(0, lastDot);
+async function onUnlockKeys() {
+  try {
+    await unlockKeys(passphraseInput.value);
+    passphraseInput.value = '';
+    setStatus('키 잠금을 풀었습니다. 브라우저를 닫으면 다시 잠깁니다.');
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '잠금을 풀지 못했습니다.');
+  }
+  await renderKeyStatus();
 }
 
-function readAsDataUrl(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('파일을 읽는 중 오류가 발생했습니다.'));
-    reader.readAsDataURL(file);
-  });
+/**
+ * 실행에 쓸 키 목록. 입력란에 아직 등록하지 않은 키가 있으면 먼저 등록한다. 쓸 수 없으면 null.
+ */
+async function loadRunKeys() {
+  try {
+    const typed = apiKeyInput.value.trim();
+    if (typed && !(await loadKeys()).some((k) => k.key === typed)) {
+      await addKey(typed);
+      await renderKeyStatus();
+    }
+    apiKeyInput.value = '';
+    const keys = await loadKeys();
+    if (!keys.length) {
+      setStatus('API 키를 추가해주세요.');
+      return null;
+    }
+    return keys;
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || 'API 키를 읽지 못했습니다.');
+    await renderKeyStatus();
+    return null;
+  }
 }
 
-function loadImage(dataUrl) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = () => reject(new Error('이미지를 로드하지 못했습니다.'));
-    img.src = dataUrl;
-  });
+async function onCancel() {
+  if (!state.job) return;
+  try {
+    cancelButton.disabled = true;
+    await sendToBackground({ type: 'job:cancel', jobId: state.job.id });
+    setStatus('취소하는 중... 진행 중인 요청을 끊고 남은 요청을 버립니다.');
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '작업을 취소하지 못했습니다.');
+  } finally {
+    cancelButton.disabled = false;
+  }
 }
 
-async function blobToDataUrl(blob) {
-  return await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onloadend = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('이미지 직렬화에 실패했습니다.'));
-    reader.readAsDataURL(blob);
-  });
+async function onPause() {
+  const { job } = state;
+  if (!job) return;
+  try {
+    pauseButton.disabled = true;
+    await sendToBackground({ type: job.paused ? 'job:unpause' : 'job:pause', jobId: job.id });
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '작업을 일시정지하지 못했습니다.');
+  } finally {
+    pauseButton.disabled = false;
+  }
 }
 
-async function canvasToBlob(canvas) {
-  return await new Promise((resolve, reject) =>
-    canvas.toBlob(
-      (blob) => {
-        if (!blob) {
-          reject(new Error('이미지 직렬화에 실패했습니다.'));
-          return;
-        }
-        resolve(blob);
-      },
-      'image/png'
-    )
-  );
-}
-
-async function buildZip(files) {
-  const encoder = new TextEncoder();
-  const entries = [];
-  let offset = 0;
-
-  for (const file of files) {
-    const data = new Uint8Array(await file.blob.arrayBuffer());
-    const nameBytes = encoder.encode(file.name);
-    const crc = crc32(data);
-    const dosTime = getDosTime(new Date());
-    const dosDate = getDosDate(new Date());
-
-    const localHeader = new Uint8Array(30 + nameBytes.length);
-    const lhView = new DataView(localHeader.buffer);
-    lhView.setUint32(0, 0x04034b50, true);
-    lhView.setUint16(4, 20, true);
-    lhView.setUint16(6, 0x0800, true); // UTF-8 flag
-    lhView.setUint16(8, 0, true);
-    lhView.setUint16(10, dosTime, true);
-    lhView.setUint16(12, dosDate, true);
-    lhView.setUint32(14, crc, true);
-    lhView.setUint32(18, data.length, true);
-    lhView.setUint32(22, data.length, true);
-    lhView.setUint16(26, nameBytes.length, true);
-    lhView.setUint16(28, 0, true);
-    localHeader.set(nameBytes, 30);
-
-    entries.push({
-      nameBytes,
-      data,
-      crc,
-      dosTime,
-      dosDate,
-      localHeader,
-      localHeaderOffset: offset,
-    });
+/**
+ * 지금까지 끝난 이미지만 ZIP으로 내려받는다. 실패 항목은 errors.txt에 적는다.
+ */
+async function onDownload({ auto = false } = {}) {
+  const { job } = state;
+  if (!job) return;
 
-    offset += localHeader.length + data.length;
-  }
-
-  const centralParts = [];
-  let centralSize = 0;
-  for (const entry of entries) {
-    const central = new Uint8Array(46 + entry.nameBytes.length);
-    const cv = new DataView(central.buffer);
-    cv.setUint32(0, 0x02014b50, true);
-    cv.setUint16(4, 20, true);
-    cv.setUint16(6, 20, true);
-    cv.setUint16(8, 0x0800, true); // UTF-8 flag
-    cv.setUint16(10, 0, true);
-    cv.setUint16(12, entry.dosTime, true);
-    cv.setUint16(14, entry.dosDate, true);
-    cv.setUint32(16, entry.crc, true);
-    cv.setUint32(20, entry.data.length, true);
-    cv.setUint32(24, entry.data.length, true);
-    cv.setUint16(28, entry.nameBytes.length, true);
-    cv.setUint16(30, 0, true);
-    cv.setUint16(32, 0, true);
-    cv.setUint16(34, 0, true);
-    cv.setUint16(36, 0, true);
-    cv.setUint32(38, 0, true);
-    cv.setUint32(42, entry.localHeaderOffset, true);
-    central.set(entry.nameBytes, 46);
-
-    centralParts.push(central);
-    centralSize += central.length;
-  }
-
-  const endRecord = new Uint8Array(22);
-  const ev = new DataView(endRecord.buffer);
-  ev.setUint32(0, 0x06054b50, true);
-  ev.setUint16(4, 0, true);
-  ev.setUint16(6, 0, true);
-  ev.setUint16(8, entries.length, true);
-  ev.setUint16(10, entries.length, true);
-  ev.setUint32(12, centralSize, true);
-  ev.setUint32(16, offset, true);
-  ev.setUint16(20, 0, true);
-
-  const totalSize = offset + centralSize + endRecord.length;
-  const out = new Uint8Array(totalSize);
-  let ptr = 0;
-  for (const entry of entries) {
-    out.set(entry.localHeader, ptr);
-    ptr += entry.localHeader.length;
-    out.set(entry.data, ptr);
-    ptr += entry.data.length;
-  }
-  for (const c of centralParts) {
-    out.set(c, ptr);
-    ptr += c.length;
-  }
-  out.set(endRecord, ptr);
-
-  return new Blob([out], { type: 'application/zip' });
-}
-
-function getDosTime(d) {
-  const sec = Math.floor(d.getSeconds() / 2);
-  return (d.getHours() << 11) | (d.getMinutes() << 5) | sec;
-}
-
-function getDosDate(d) {
-  return ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
-}
-
-function crc32(buf) {
-  let crc = -1;
-  for (let i = 0; i < buf.length; i += 1) {
-    crc = (crc >>> 8) ^ CRC_TABLE[(crc ^ buf[i]) & 0xff];
-  }
-  return (crc ^ -1) >>> 0;
-}
-
-const CRC_TABLE = (() => {
-  const table = new Uint32Array(256);
-  for (let i = 0; i < 256; i += 1) {
-    let c = i;
-    for (let k = 0; k < 8; k += 1) {
-      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  try {
+    const items = await listItems(job.id);
+    // 검토 화면에서 거절한 번역은 내려받지 않는다.
+    const results = items
+      .filter((item) => (item.status === 'done' && item.review !== 'rejected') || item.status === 'failed')
+      .map(itemToResult);
+    const failures = results.filter((r) => r.error);
+
+    if (!results.length || failures.length === results.length) {
+      setStatus(
+        failures.length
+          ? `모든 이미지 처리에 실패했습니다.\n${formatFailures(failures)}`
+          : '다운로드할 결과가 없습니다.'
+      );
+      return;
+    }
+
+    await downloadZip(results, { job });
+    localStorage.setItem('gemini_downloaded_job', job.id);
+
+    const pending = items.filter((item) => item.status === 'pending').length;
+    const lines = [];
+    if (failures.length) {
+      lines.push(`${results.length - failures.length}개 완료, ${failures.length}개 실패 (errors.txt 참고)`);
+      lines.push(formatFailures(failures));
+    } else if (auto || !pending) {
+      lines.push('모든 처리가 완료되었습니다.');
     }
-    table[i] = c >>> 0;
+    if (pending) lines.unshift(`완료된 ${results.length - failures.length}개를 다운로드했습니다. (남은 이미지 ${pending}개)`);
+    const quality = describeQuality(job);
+    if (quality) lines.push(quality);
+    setStatus(lines.join('\n'));
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '다운로드 중 오류가 발생했습니다.');
   }
-  return table;
-})();
+}
 
+function formatFailures(failures) {
+  return failures.map((f) => `- ${f.fileName}: ${f.error}`).join('\n');
+}
@@ -0,0 +1,77 @@
+import { DEFAULT_IMAGE_MODEL, DEFAULT_TEXT_MODEL, resolveImageSize } from './gemini.js';
+
+// 모델·출력 크기별 이미지 모델 호출 1회(출력 이미지 1장)당 가격(USD). 각 모델의 공개 단가 기준.
+// 효율 모드 툴팁의 장당 0.042$는 시트 1장(0.134$)에 평균 3장 남짓을 담았을 때의 값이다.
+const PRICE_PER_REQUEST_USD = {
+  'gemini-3-pro-image-preview': {
+    '1K': 0.134,
+    '2K': 0.134,
+    '4K': 0.24,
+  },
+  'gemini-2.5-flash-image': {
+    '1K': 0.039,
+  },
+};
+
+// 텍스트 추출 모드 요청 1회 가격(USD). 입력 이미지와 JSON 응답 토큰을 넉넉히 잡은 값이다.
+const TEXT_PRICE_PER_REQUEST_USD = {
+  'gemini-2.5-flash': 0.003,
+};
+
+/**
+ * 모델과 출력 크기에 따른 요청 1회 가격.
+ * @param {string} [imageSize] - '1K' | '2K' | '4K'
+ * @param {string} [model] - IMAGE_MODELS 키
+ * @returns {number}
+ */
+export function getRequestPrice(imageSize = '2K', model = DEFAULT_IMAGE_MODEL) {
+  const prices = PRICE_PER_REQUEST_USD[model] || PRICE_PER_REQUEST_USD[DEFAULT_IMAGE_MODEL];
+  return prices[resolveImageSize(model, imageSize)] ?? prices['2K'];
+}
+
+/**
+ * 텍스트 추출 모드 요청 1회 가격.
+ * @param {string} [model]
+ * @returns {number}
+ */
+export function getTextRequestPrice(model = DEFAULT_TEXT_MODEL) {
+  return TEXT_PRICE_PER_REQUEST_USD[model] ?? TEXT_PRICE_PER_REQUEST_USD[DEFAULT_TEXT_MODEL];
+}
+
+/**
+ * @param {number} requestCount - 일반 모드는 이미지 수, 효율 모드는 시트 수
+ * @param {string} [imageSize]
+ * @param {string} [model]
+ * @param {string} [mode] - 'text'·'overlay'면 이미지 모델 대신 텍스트 추출 단가로 계산한다.
+ * @returns {{ requests: number, usd: number }}
+ */
+export function estimateCost(requestCount, imageSize, model, mode) {
+  const price = mode === 'text' || mode === 'overlay' ? getTextRequestPrice() : getRequestPrice(imageSize, model);
+  return {
+    requests: requestCount,
+    usd: requestCount * price,
+  };
+}
+
+export function formatUsd(usd) {
+  return `$${(usd || 0).toFixed(usd >= 100 ? 0 : 2)}`;
+}
+
+/**
+ * 이번 실행 예상 비용을 더했을 때 일/월 예산을 넘는지 확인한다. 예산이 0이거나 비어 있으면 제한하지 않는다.
+ * @param {Object} params
+ * @param {number} params.estimateUsd
+ * @param {{ todayUsd: number, monthUsd: number }} params.spend
+ * @param {{ daily?: number, monthly?: number }} params.budget
+ * @returns {string|null} - 넘는다면 사용자에게 보여줄 메시지
+ */
+export function checkBudget({ estimateUsd, spend, budget }) {
+  const overs = [];
+  if (budget.daily > 0 && spend.todayUsd + estimateUsd > budget.daily) {
+    overs.push(`오늘 ${formatUsd(spend.todayUsd)} + 예상 ${formatUsd(estimateUsd)} > 일 예산 ${formatUsd(budget.daily)}`);
+  }
+  if (budget.monthly > 0 && spend.monthUsd + estimateUsd > budget.monthly) {
+    overs.push(`이번 달 ${formatUsd(spend.monthUsd)} + 예상 ${formatUsd(estimateUsd)} > 월 예산 ${formatUsd(budget.monthly)}`);
+  }
+  return overs.length ? `예산을 초과합니다.\n${overs.join('\n')}` : null;
+}
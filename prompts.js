@@ -0,0 +1,234 @@
+import { buildTranslatePrompt } from './gemini.js';
+import {
+  DEFAULT_PRESET_ID,
+  loadGlossary,
+  loadPresets,
+  loadSelectedPresetId,
+  mergeGlossary,
+  parseGlossaryCsv,
+  parseGlossaryJson,
+  saveGlossary,
+  savePresets,
+  saveSelectedPresetId,
+  toGlossaryCsv,
+  toGlossaryJson,
+} from './glossary.js';
+
+const statusEl = document.getElementById('status');
+const presetInput = document.getElementById('preset');
+const presetNameInput = document.getElementById('presetName');
+const promptTextInput = document.getElementById('promptText');
+const newPresetButton = document.getElementById('newPreset');
+const deletePresetButton = document.getElementById('deletePreset');
+const savePresetButton = document.getElementById('savePreset');
+const termsEl = document.getElementById('terms');
+const addTermButton = document.getElementById('addTerm');
+const doNotTranslateInput = document.getElementById('doNotTranslate');
+const importModeInput = document.getElementById('importMode');
+const importButton = document.getElementById('importGlossary');
+const importFileInput = document.getElementById('importFile');
+const exportCsvButton = document.getElementById('exportCsv');
+const exportJsonButton = document.getElementById('exportJson');
+const saveGlossaryButton = document.getElementById('saveGlossary');
+const previewEl = document.getElementById('preview');
+
+const PROMPT_TEMPLATE = '이 이미지의 {source}를 {target}로 번역해서, 번역된 이미지를 반환해줘.';
+
+// 편집 중인 값은 화면에만 두고, 저장 버튼을 눌러야 팝업이 쓰는 localStorage에 반영한다.
+const state = {
+  presets: loadPresets(),
+};
+
+renderPresets(loadSelectedPresetId());
+renderGlossary(loadGlossary());
+renderPreview();
+
+presetInput.addEventListener('change', () => {
+  saveSelectedPresetId(presetInput.value);
+  renderPresetEditor();
+  renderPreview();
+});
+newPresetButton.addEventListener('click', onNewPreset);
+deletePresetButton.addEventListener('click', onDeletePreset);
+savePresetButton.addEventListener('click', onSavePreset);
+promptTextInput.addEventListener('input', renderPreview);
+addTermButton.addEventListener('click', () => {
+  addTermRow({ source: '', target: '' }).querySelector('input').focus();
+});
+termsEl.addEventListener('input', renderPreview);
+doNotTranslateInput.addEventListener('input', renderPreview);
+importButton.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', onImport);
+exportCsvButton.addEventListener('click', () => {
+  downloadText('glossary.csv', toGlossaryCsv(readGlossaryForm()), 'text/csv');
+});
+exportJsonButton.addEventListener('click', () => {
+  downloadText('glossary.json', toGlossaryJson(readGlossaryForm()), 'application/json');
+});
+saveGlossaryButton.addEventListener('click', () => {
+  const glossary = readGlossaryForm();
+  saveGlossary(glossary);
+  renderGlossary(glossary);
+  setStatus(`용어집을 저장했습니다. (용어 ${glossary.terms.length}개, 번역 제외 ${glossary.doNotTranslate.length}개)`);
+});
+
+function renderPresets(selectedId) {
+  presetInput.innerHTML = '';
+  state.presets.forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    presetInput.appendChild(option);
+  });
+  presetInput.value = state.presets.some((p) => p.id === selectedId) ? selectedId : DEFAULT_PRESET_ID;
+  renderPresetEditor();
+}
+
+function renderPresetEditor() {
+  const preset = getSelectedPreset();
+  const isDefault = preset.id === DEFAULT_PRESET_ID;
+  presetNameInput.value = preset.name;
+  promptTextInput.value = preset.prompt;
+  presetNameInput.disabled = isDefault;
+  promptTextInput.disabled = isDefault;
+  deletePresetButton.disabled = isDefault;
+  savePresetButton.disabled = isDefault;
+  promptTextInput.placeholder = isDefault ? '내장 프롬프트를 사용합니다.' : `예: ${PROMPT_TEMPLATE}`;
+}
+
+function getSelectedPreset() {
+  return state.presets.find((p) => p.id === presetInput.value) || state.presets[0];
+}
+
+function onNewPreset() {
+  const preset = {
+    id: `preset-${Date.now()}`,
+    name: `프리셋 ${state.presets.length}`,
+    // 기본 프롬프트를 출발점으로 삼아 고치기 쉽게 한다.
+    prompt: PROMPT_TEMPLATE,
+  };
+  state.presets.push(preset);
+  savePresets(state.presets);
+  saveSelectedPresetId(preset.id);
+  renderPresets(preset.id);
+  renderPreview();
+  presetNameInput.focus();
+}
+
+function onSavePreset() {
+  const preset = getSelectedPreset();
+  if (preset.id === DEFAULT_PRESET_ID) return;
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    setStatus('프리셋 이름을 입력해주세요.');
+    return;
+  }
+  preset.name = name;
+  preset.prompt = promptTextInput.value;
+  savePresets(state.presets);
+  renderPresets(preset.id);
+  setStatus(`'${name}' 프리셋을 저장했습니다.`);
+}
+
+function onDeletePreset() {
+  const preset = getSelectedPreset();
+  if (preset.id === DEFAULT_PRESET_ID) return;
+  if (!confirm(`'${preset.name}' 프리셋을 삭제할까요?`)) return;
+  state.presets = state.presets.filter((p) => p.id !== preset.id);
+  savePresets(state.presets);
+  saveSelectedPresetId(DEFAULT_PRESET_ID);
+  renderPresets(DEFAULT_PRESET_ID);
+  renderPreview();
+}
+
+function renderGlossary(glossary) {
+  termsEl.innerHTML = '';
+  glossary.terms.forEach(addTermRow);
+  doNotTranslateInput.value = glossary.doNotTranslate.join('\n');
+  renderPreview();
+}
+
+function addTermRow(term) {
+  const row = document.createElement('tr');
+  ['source', 'target'].forEach((key) => {
+    const cell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = key;
+    input.value = term[key];
+    cell.appendChild(input);
+    row.appendChild(cell);
+  });
+  const actions = document.createElement('td');
+  actions.className = 'actions';
+  const removeButton = document.createElement('button');
+  removeButton.className = 'secondary';
+  removeButton.textContent = '삭제';
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    renderPreview();
+  });
+  actions.appendChild(removeButton);
+  row.appendChild(actions);
+  termsEl.appendChild(row);
+  return row;
+}
+
+function readGlossaryForm() {
+  const terms = Array.from(termsEl.querySelectorAll('tr')).map((row) => ({
+    source: row.querySelector('input[name="source"]').value,
+    target: row.querySelector('input[name="target"]').value,
+  }));
+  const doNotTranslate = doNotTranslateInput.value.split('\n');
+  // 빈 줄·중복 정리는 저장·내보내기 쪽 정규화에 맡긴다.
+  return mergeGlossary({ terms: [], doNotTranslate: [] }, { terms, doNotTranslate });
+}
+
+async function onImport() {
+  const file = importFileInput.files?.[0];
+  importFileInput.value = '';
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    const imported = isJson ? parseGlossaryJson(text) : parseGlossaryCsv(text);
+    const glossary = importModeInput.value === 'replace' ? imported : mergeGlossary(readGlossaryForm(), imported);
+    renderGlossary(glossary);
+    setStatus(
+      `${file.name}에서 용어 ${imported.terms.length}개, 번역 제외 ${imported.doNotTranslate.length}개를 가져왔습니다.\n` +
+        '확인한 뒤 용어집 저장을 눌러주세요.'
+    );
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '용어집을 가져오지 못했습니다.');
+  }
+}
+
+function renderPreview() {
+  const preset = getSelectedPreset();
+  const customPrompt = preset.id === DEFAULT_PRESET_ID ? '' : promptTextInput.value;
+  const glossary = readGlossaryForm();
+  try {
+    previewEl.textContent = buildTranslatePrompt(
+      localStorage.getItem('gemini_source_lang') || 'zh',
+      localStorage.getItem('gemini_target_lang') || 'ko',
+      { customPrompt, glossary: glossary.terms, doNotTranslate: glossary.doNotTranslate }
+    );
+  } catch (e) {
+    previewEl.textContent = e?.message || '미리보기를 만들지 못했습니다.';
+  }
+}
+
+function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+function setStatus(message) {
+  statusEl.textContent = message;
+}
@@ -0,0 +1,106 @@
+// 번역 결과 품질 검사 중 로컬에서 하는 부분: 원본과 번역 이미지의 구조 유사도(SSIM)를 잰다.
+// 번역하면 글자 영역은 당연히 바뀌므로, 가장 많이 달라진 창 일부는 글자 영역으로 보고 점수에서 뺀다.
+// 상품 사진처럼 글자 밖 영역을 모델이 다시 그렸다면 남은 창의 점수가 떨어진다.
+
+// 비교하기 전에 두 이미지를 이 긴 변 크기의 흑백으로 맞춘다. 작게 줄여야 압축 잡음에 덜 흔들린다.
+const COMPARE_SIDE = 256;
+const WINDOW_SIZE = 8;
+// 글자 영역으로 보고 뺄 창 비율. 상세 이미지는 글자가 면적의 30%를 넘는 경우가 드물다.
+const TEXT_AREA_ALLOWANCE = 0.3;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * @param {Blob} originalBlob - 번역 요청에 쓴 원본 (결과의 paddedBlob)
+ * @param {Blob} translatedBlob
+ * @returns {Promise<number>} - 0~1. 1이면 글자 밖 영역이 원본과 같다.
+ */
+export async function measureStructure(originalBlob, translatedBlob) {
+  const original = await createImageBitmap(originalBlob);
+  const scale = COMPARE_SIDE / Math.max(original.width, original.height);
+  const width = Math.max(WINDOW_SIZE, Math.round(original.width * scale));
+  const height = Math.max(WINDOW_SIZE, Math.round(original.height * scale));
+  const a = toGray(original, width, height);
+  original.close();
+
+  // 번역 이미지는 해상도가 다를 수 있어 원본 비교 크기에 맞춰 늘리거나 줄인다.
+  const translated = await createImageBitmap(translatedBlob);
+  const b = toGray(translated, width, height);
+  translated.close();
+
+  return structuralSimilarity(a, b, width, height);
+}
+
+/**
+ * 겹치지 않는 WINDOW_SIZE 창마다 SSIM을 구하고, 낮은 쪽 TEXT_AREA_ALLOWANCE 비율을 뺀 나머지의 평균을 낸다.
+ * @param {Float32Array} a - 흑백 밝기 (0~255)
+ * @param {Float32Array} b
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function structuralSimilarity(a, b, width, height) {
+  const scores = [];
+  for (let top = 0; top + WINDOW_SIZE <= height; top += WINDOW_SIZE) {
+    for (let left = 0; left + WINDOW_SIZE <= width; left += WINDOW_SIZE) {
+      scores.push(windowSsim(a, b, width, left, top));
+    }
+  }
+  if (!scores.length) return 1;
+
+  scores.sort((x, y) => x - y);
+  const kept = scores.slice(Math.floor(scores.length * TEXT_AREA_ALLOWANCE));
+  const mean = kept.reduce((sum, score) => sum + score, 0) / kept.length;
+  return Math.min(1, Math.max(0, mean));
+}
+
+function windowSsim(a, b, width, left, top) {
+  const count = WINDOW_SIZE * WINDOW_SIZE;
+  let sumA = 0;
+  let sumB = 0;
+  for (let y = top; y < top + WINDOW_SIZE; y += 1) {
+    for (let x = left; x < left + WINDOW_SIZE; x += 1) {
+      sumA += a[y * width + x];
+      sumB += b[y * width + x];
+    }
+  }
+  const meanA = sumA / count;
+  const meanB = sumB / count;
+
+  let varA = 0;
+  let varB = 0;
+  let covariance = 0;
+  for (let y = top; y < top + WINDOW_SIZE; y += 1) {
+    for (let x = left; x < left + WINDOW_SIZE; x += 1) {
+      const da = a[y * width + x] - meanA;
+      const db = b[y * width + x] - meanB;
+      varA += da * da;
+      varB += db * db;
+      covariance += da * db;
+    }
+  }
+  varA /= count - 1;
+  varB /= count - 1;
+  covariance /= count - 1;
+
+  return (
+    ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+    ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2))
+  );
+}
+
+function toGray(bitmap, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i += 1) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
@@ -0,0 +1,218 @@
+import { clearQueue, deleteQueueEntries, listQueue, putQueueEntries } from './db.js';
+import { addToQueue, isImageFile, readDroppedFiles, readPastedFiles } from './sources.js';
+
+const summaryEl = document.getElementById('summary');
+const statusEl = document.getElementById('status');
+const listEl = document.getElementById('list');
+const dropzoneEl = document.getElementById('dropzone');
+const addFilesButton = document.getElementById('addFiles');
+const addFolderButton = document.getElementById('addFolder');
+const fileInput = document.getElementById('fileInput');
+const folderInput = document.getElementById('folderInput');
+const clearButton = document.getElementById('clear');
+
+const MODE_LABELS = { normal: '일반', saver: '효율', text: '텍스트 추출', overlay: '로컬 합성' };
+
+// 대기열은 IndexedDB에 두고 팝업이 실행할 때 읽어 간다. 이 화면은 추가·정리만 한다.
+const state = {
+  entries: [],
+  // 항목별 썸네일 object URL
+  urls: new Map(),
+};
+
+addFilesButton.addEventListener('click', () => fileInput.click());
+addFolderButton.addEventListener('click', () => folderInput.click());
+[fileInput, folderInput].forEach((input) => {
+  input.addEventListener('change', async () => {
+    const files = Array.from(input.files || [])
+      .filter(isImageFile)
+      .map((file) => ({ file, relativePath: file.webkitRelativePath || file.name }));
+    input.value = '';
+    await addFiles(files);
+  });
+});
+clearButton.addEventListener('click', async () => {
+  if (!state.entries.length || !confirm('대기열을 모두 비울까요?')) return;
+  await clearQueue();
+  await reload();
+  setStatus('대기열을 비웠습니다.');
+});
+
+dropzoneEl.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  dropzoneEl.classList.add('over');
+});
+dropzoneEl.addEventListener('dragleave', () => dropzoneEl.classList.remove('over'));
+dropzoneEl.addEventListener('drop', async (e) => {
+  e.preventDefault();
+  dropzoneEl.classList.remove('over');
+  try {
+    await addFiles(await readDroppedFiles(e.dataTransfer));
+  } catch (err) {
+    console.error(err);
+    setStatus(err?.message || '끌어다 놓은 파일을 읽지 못했습니다.');
+  }
+});
+// 끌어다 놓기 영역 밖에 떨어뜨려도 브라우저가 파일을 열지 않게 막는다.
+document.addEventListener('dragover', (e) => e.preventDefault());
+document.addEventListener('drop', (e) => e.preventDefault());
+document.addEventListener('paste', async (e) => {
+  const files = readPastedFiles(e);
+  if (!files.length) return;
+  e.preventDefault();
+  await addFiles(files);
+});
+// 팝업에서 대기열을 실행하면 비워지므로 이 탭으로 돌아올 때 다시 읽는다.
+window.addEventListener('focus', reload);
+
+reload();
+
+async function reload() {
+  try {
+    state.entries = await listQueue();
+    renderSummary();
+    renderList();
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '대기열을 불러오지 못했습니다.');
+  }
+}
+
+async function addFiles(files) {
+  if (!files.length) {
+    setStatus('추가할 이미지가 없습니다.');
+    return;
+  }
+
+  setStatus(`${files.length}개 이미지를 확인하는 중...`);
+  try {
+    const { added, skipped } = await addToQueue(files);
+    await reload();
+    const lines = [`${added}개를 대기열에 추가했습니다.`];
+    if (skipped.length) {
+      lines.push(`같은 이미지 ${skipped.length}개는 건너뛰었습니다.`);
+      lines.push(...skipped.slice(0, 10).map((path) => `- ${path}`));
+      if (skipped.length > 10) lines.push(`- 외 ${skipped.length - 10}개`);
+    }
+    setStatus(lines.join('\n'));
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '이미지를 대기열에 추가하지 못했습니다.');
+  }
+}
+
+function setStatus(message) {
+  statusEl.textContent = message || '';
+}
+
+function renderSummary() {
+  const count = (mode) => state.entries.filter((entry) => entry.mode === mode).length;
+  const parts = [`${state.entries.length}장`];
+  const normal = count('normal');
+  const saver = count('saver');
+  const text = count('text');
+  const overlay = count('overlay');
+  if (normal) parts.push(`일반 지정 ${normal}`);
+  if (saver) parts.push(`효율 지정 ${saver}`);
+  if (text) parts.push(`텍스트 추출 지정 ${text}`);
+  if (overlay) parts.push(`로컬 합성 지정 ${overlay}`);
+  summaryEl.textContent = parts.join(' · ');
+  clearButton.disabled = !state.entries.length;
+}
+
+function renderList() {
+  const ids = new Set(state.entries.map((entry) => entry.id));
+  state.urls.forEach((url, id) => {
+    if (ids.has(id)) return;
+    URL.revokeObjectURL(url);
+    state.urls.delete(id);
+  });
+
+  listEl.replaceChildren(...state.entries.map(renderEntry));
+  if (!state.entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = '대기열이 비어 있습니다.';
+    listEl.append(empty);
+  }
+}
+
+function renderEntry(entry, position) {
+  const row = document.createElement('div');
+  row.className = 'entry';
+
+  const order = document.createElement('span');
+  order.className = 'order';
+  order.textContent = String(position + 1);
+
+  if (!state.urls.has(entry.id)) state.urls.set(entry.id, URL.createObjectURL(entry.blob));
+  const thumb = document.createElement('img');
+  thumb.src = state.urls.get(entry.id);
+  thumb.alt = entry.fileName;
+  thumb.loading = 'lazy';
+
+  const info = document.createElement('div');
+  info.className = 'info';
+  const name = document.createElement('div');
+  name.className = 'name';
+  name.textContent = entry.fileName;
+  name.title = entry.relativePath;
+  const meta = document.createElement('div');
+  meta.className = 'meta';
+  meta.textContent = `${entry.relativePath} · ${formatBytes(entry.blob.size)}`;
+  info.append(name, meta);
+
+  const modeInput = document.createElement('select');
+  [
+    ['', '팝업 설정 따름'],
+    ['normal', `${MODE_LABELS.normal} 모드`],
+    ['saver', `${MODE_LABELS.saver} 모드`],
+    ['text', `${MODE_LABELS.text} 모드`],
+    ['overlay', `${MODE_LABELS.overlay} 모드`],
+  ].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    modeInput.append(option);
+  });
+  modeInput.value = entry.mode || '';
+  modeInput.addEventListener('change', async () => {
+    entry.mode = modeInput.value || null;
+    await putQueueEntries([entry]);
+    renderSummary();
+  });
+
+  const upButton = createButton('↑', position === 0, () => moveEntry(position, -1));
+  const downButton = createButton('↓', position === state.entries.length - 1, () => moveEntry(position, 1));
+  const removeButton = createButton('삭제', false, async () => {
+    await deleteQueueEntries([entry.id]);
+    await reload();
+  });
+
+  row.append(order, thumb, info, modeInput, upButton, downButton, removeButton);
+  return row;
+}
+
+function createButton(label, disabled, onClick) {
+  const button = document.createElement('button');
+  button.className = 'secondary small';
+  button.textContent = label;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// 이웃한 두 항목의 index만 맞바꿔 저장한다.
+async function moveEntry(position, delta) {
+  const a = state.entries[position];
+  const b = state.entries[position + delta];
+  if (!a || !b) return;
+  [a.index, b.index] = [b.index, a.index];
+  await putQueueEntries([a, b]);
+  await reload();
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))}KB`;
+}
@@ -0,0 +1,473 @@
+import { getJob, getLatestJob, listItems, updateItem } from './db.js';
+import { loadKeys } from './keystore.js';
+import { renderTextLayer } from './textlayer.js';
+import { downloadZip, itemToResult } from './zip.js';
+
+const listEl = document.getElementById('list');
+const summaryEl = document.getElementById('summary');
+const statusEl = document.getElementById('status');
+const filterInput = document.getElementById('filter');
+const viewInput = document.getElementById('view');
+const acceptAllButton = document.getElementById('acceptAll');
+const bulkModeInput = document.getElementById('bulkMode');
+const retranslateRejectedButton = document.getElementById('retranslateRejected');
+const downloadAcceptedButton = document.getElementById('downloadAccepted');
+
+const MODE_LABELS = { normal: '일반', saver: '효율', text: '텍스트 추출', overlay: '로컬 합성' };
+
+// 검토 결과(item.review)는 IndexedDB 항목에 바로 저장하므로 탭을 닫았다 열어도 유지된다.
+const state = {
+  job: null,
+  items: [],
+  // 항목별 object URL. 결과가 바뀐 항목만 새로 만들고 이전 URL은 해제한다.
+  urls: new Map(),
+};
+
+viewInput.value = localStorage.getItem('gemini_review_view') || 'side';
+filterInput.addEventListener('change', renderList);
+viewInput.addEventListener('change', () => {
+  localStorage.setItem('gemini_review_view', viewInput.value);
+  renderList();
+});
+acceptAllButton.addEventListener('click', onAcceptAll);
+retranslateRejectedButton.addEventListener('click', () => {
+  const ids = state.items.filter((item) => item.review === 'rejected').map((item) => item.id);
+  retranslate(ids, bulkModeInput.value);
+});
+downloadAcceptedButton.addEventListener('click', onDownloadAccepted);
+chrome.runtime.onMessage.addListener((message) => {
+  if (message?.target !== 'ui' || message.type !== 'job:update') return;
+  if (!state.job || message.job.id !== state.job.id) return;
+  // 요청 대기열 통계만 바뀐 알림까지 항목(Blob 포함)을 다시 읽지 않도록 진행 수가 바뀔 때만 갱신한다.
+  const changed = progressKey(message.job) !== progressKey(state.job);
+  state.job = message.job;
+  if (changed) reloadItems();
+});
+
+function progressKey(job) {
+  return `${job.status}:${job.done}:${job.failed}`;
+}
+
+init();
+
+async function init() {
+  try {
+    const jobId = new URLSearchParams(location.search).get('job');
+    state.job = jobId ? await getJob(jobId) : await getLatestJob();
+    if (!state.job) {
+      setStatus('검토할 작업이 없습니다. 팝업에서 번역을 먼저 실행해주세요.');
+      return;
+    }
+    await reloadItems();
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '작업 정보를 불러오지 못했습니다.');
+  }
+}
+
+function setStatus(message) {
+  statusEl.textContent = message || '';
+}
+
+async function reloadItems() {
+  state.items = await listItems(state.job.id);
+  renderSummary();
+  renderList();
+}
+
+function renderSummary() {
+  const count = (fn) => state.items.filter(fn).length;
+  const done = count((item) => item.status === 'done');
+  const accepted = count((item) => item.status === 'done' && item.review === 'accepted');
+  const rejected = count((item) => item.status === 'done' && item.review === 'rejected');
+  const failed = count((item) => item.status === 'failed');
+  const pending = count((item) => item.status === 'pending');
+  const flagged = count(isFlagged);
+
+  const parts = [`완료 ${done}/${state.items.length}`, `채택 ${accepted}`, `거절 ${rejected}`, `미검토 ${done - accepted - rejected}`];
+  if (failed) parts.push(`실패 ${failed}`);
+  if (pending) parts.push(`대기 ${pending}`);
+  if (flagged) parts.push(`품질 미달 ${flagged}`);
+  summaryEl.textContent = parts.join(' · ');
+
+  const running = state.job?.status === 'running';
+  retranslateRejectedButton.disabled = running || !rejected;
+  downloadAcceptedButton.disabled = !accepted;
+}
+
+function matchesFilter(item) {
+  switch (filterInput.value) {
+    case 'unreviewed':
+      return item.status === 'done' && !item.review;
+    case 'accepted':
+      return item.status === 'done' && item.review === 'accepted';
+    case 'rejected':
+      return item.status === 'done' && item.review === 'rejected';
+    case 'failed':
+      return item.status === 'failed';
+    case 'flagged':
+      return isFlagged(item);
+    default:
+      return true;
+  }
+}
+
+function renderList() {
+  const visible = state.items.filter(matchesFilter);
+  listEl.replaceChildren(...visible.map(renderItem));
+  if (!visible.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = '해당하는 이미지가 없습니다.';
+    listEl.append(empty);
+  }
+}
+
+function renderItem(item) {
+  const card = document.createElement('article');
+  card.className = 'item';
+  if (item.status === 'done' && item.review) card.classList.add(item.review);
+
+  const header = document.createElement('header');
+  const name = document.createElement('span');
+  name.className = 'name';
+  name.textContent = item.fileName;
+  name.title = item.fileName;
+  header.append(name, renderBadge(item));
+  card.append(header);
+
+  if (item.status === 'done') {
+    // 이미지로 번역한 뒤 텍스트 추출로 다시 돌린 항목은 두 결과를 모두 보여준다.
+    if (item.translatedBlob) {
+      card.append(viewInput.value === 'slider' ? renderSlider(item) : renderSideBySide(item));
+    }
+    if (item.textBlocks) card.append(renderTextBlocks(item));
+    if (isFlagged(item)) card.append(renderQuality(item.quality));
+  } else {
+    const message = document.createElement('div');
+    message.className = 'message';
+    message.textContent = item.status === 'failed' ? item.error : '번역 대기 중입니다.';
+    card.append(message);
+  }
+
+  card.append(renderActions(item));
+  return card;
+}
+
+function isFlagged(item) {
+  return item.status === 'done' && item.quality?.passed === false;
+}
+
+function renderQuality(quality) {
+  const message = document.createElement('div');
+  message.className = 'message';
+  const lines = [
+    `품질 기준 미달: ${quality.score}점 (글자 밖 유사도 ${Math.round(quality.structure * 100)}%)` +
+      (quality.retried ? ' · 한 번 다시 번역한 결과입니다.' : ''),
+  ];
+  if (quality.leftover.length) lines.push(`남은 원문: ${quality.leftover.join(' / ')}`);
+  message.textContent = lines.join('\n');
+  return message;
+}
+
+function renderBadge(item) {
+  const badge = document.createElement('span');
+  badge.className = 'badge';
+  if (item.status === 'failed') {
+    badge.classList.add('failed');
+    badge.textContent = '실패';
+  } else if (item.status !== 'done') {
+    badge.textContent = '대기';
+  } else if (item.review) {
+    badge.classList.add(item.review);
+    badge.textContent = item.review === 'accepted' ? '채택' : '거절';
+  } else {
+    badge.textContent = `미검토 · ${MODE_LABELS[item.mode] || ''}`;
+  }
+  return badge;
+}
+
+function getUrls(item) {
+  const key = `${item.id}:${item.finishedAt}`;
+  const cached = state.urls.get(item.id);
+  if (cached?.key === key) return cached;
+
+  if (cached) {
+    [cached.original, cached.translated, cached.source].forEach((url) => url && URL.revokeObjectURL(url));
+  }
+  const urls = {
+    key,
+    original: item.paddedBlob ? URL.createObjectURL(item.paddedBlob) : null,
+    translated: item.translatedBlob ? URL.createObjectURL(item.translatedBlob) : null,
+    // 텍스트 위치는 원본 픽셀 기준이라 원본 파일 위에 그린다.
+    source: item.textBlocks ? URL.createObjectURL(item.sourceBlob) : null,
+  };
+  state.urls.set(item.id, urls);
+  return urls;
+}
+
+function renderSideBySide(item) {
+  const urls = getUrls(item);
+  const compare = document.createElement('div');
+  compare.className = 'compare side';
+  compare.append(renderFigure(urls.original, '원본'), renderFigure(urls.translated, '번역'));
+  return compare;
+}
+
+function renderFigure(src, caption) {
+  const figure = document.createElement('figure');
+  const img = document.createElement('img');
+  img.src = src;
+  img.alt = caption;
+  const figcaption = document.createElement('figcaption');
+  figcaption.textContent = caption;
+  figure.append(img, figcaption);
+  return figure;
+}
+
+/**
+ * 번역 이미지 위에 원본을 겹치고, 슬라이더 값만큼 원본의 왼쪽을 보여준다.
+ */
+function renderSlider(item) {
+  const urls = getUrls(item);
+  const compare = document.createElement('div');
+  compare.className = 'compare slider';
+
+  const stage = document.createElement('div');
+  stage.className = 'stage';
+  const translated = document.createElement('img');
+  translated.src = urls.translated;
+  translated.alt = '번역';
+  const original = document.createElement('img');
+  original.src = urls.original;
+  original.alt = '원본';
+  original.className = 'overlay';
+  stage.append(translated, original);
+
+  const range = document.createElement('input');
+  range.type = 'range';
+  range.min = '0';
+  range.max = '100';
+  range.value = '50';
+  const applyClip = () => {
+    original.style.clipPath = `inset(0 ${100 - Number(range.value)}% 0 0)`;
+  };
+  range.addEventListener('input', applyClip);
+  applyClip();
+
+  const caption = document.createElement('figcaption');
+  caption.textContent = '왼쪽: 원본 · 오른쪽: 번역';
+  compare.append(stage, range, caption);
+  return compare;
+}
+
+/**
+ * 원본 위에 글자 덩어리 위치를 번호로 표시하고, 옆에 번호별 원문·번역을 나열한다.
+ * 로컬 합성 결과는 번역 칸을 고쳐 요청 없이 번역 이미지를 다시 그릴 수 있다.
+ */
+function renderTextBlocks(item) {
+  const urls = getUrls(item);
+  const result = document.createElement('div');
+  result.className = 'text-result';
+
+  const stage = document.createElement('div');
+  stage.className = 'stage';
+  const img = document.createElement('img');
+  img.alt = '원본';
+  // 상자 위치를 비율로 바꾸려면 원본 크기가 필요해 이미지를 읽은 뒤 그린다.
+  img.addEventListener('load', () => {
+    item.textBlocks.forEach((block, i) => {
+      const mark = document.createElement('div');
+      mark.className = 'text-box';
+      mark.style.left = `${(block.box.x / img.naturalWidth) * 100}%`;
+      mark.style.top = `${(block.box.y / img.naturalHeight) * 100}%`;
+      mark.style.width = `${(block.box.width / img.naturalWidth) * 100}%`;
+      mark.style.height = `${(block.box.height / img.naturalHeight) * 100}%`;
+      mark.title = `${block.text} → ${block.translation}`;
+      const number = document.createElement('span');
+      number.textContent = String(i + 1);
+      mark.append(number);
+      stage.append(mark);
+    });
+  });
+  img.src = urls.source;
+  stage.append(img);
+
+  const table = document.createElement('table');
+  const head = document.createElement('tr');
+  ['#', '원문', '번역'].forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.append(th);
+  });
+  table.append(head);
+  const editable = item.mode === 'overlay' && Boolean(item.translatedBlob);
+  const inputs = item.textBlocks.map((block, i) => {
+    const row = document.createElement('tr');
+    [String(i + 1), block.text].forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      row.append(td);
+    });
+    const translation = document.createElement('td');
+    let input = null;
+    if (editable) {
+      input = document.createElement('textarea');
+      input.rows = 2;
+      input.value = block.translation;
+      translation.append(input);
+    } else {
+      translation.textContent = block.translation;
+    }
+    row.append(translation);
+    table.append(row);
+    return input;
+  });
+  if (!item.textBlocks.length) {
+    const row = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 3;
+    td.textContent = '번역할 텍스트를 찾지 못했습니다.';
+    row.append(td);
+    table.append(row);
+  }
+
+  const side = document.createElement('div');
+  side.append(table);
+  if (editable && item.textBlocks.length) {
+    const redraw = document.createElement('button');
+    redraw.className = 'secondary';
+    redraw.textContent = '고친 번역으로 다시 그리기';
+    redraw.addEventListener('click', () => {
+      const blocks = item.textBlocks.map((block, i) => ({ ...block, translation: inputs[i].value.trim() }));
+      redrawOverlay(item, blocks, redraw);
+    });
+    side.append(redraw);
+  }
+
+  result.append(stage, side);
+  return result;
+}
+
+async function redrawOverlay(item, textBlocks, button) {
+  button.disabled = true;
+  try {
+    const translatedBlob = await renderTextLayer(item.sourceBlob, textBlocks);
+    // finishedAt이 바뀌어야 getUrls가 새 번역 이미지로 URL을 다시 만든다.
+    const changes = { textBlocks, translatedBlob, finishedAt: Date.now() };
+    await updateItem(item.id, changes);
+    Object.assign(item, changes);
+    renderList();
+    setStatus(`${item.fileName}을(를) 고친 번역으로 다시 그렸습니다.`);
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '다시 그리지 못했습니다.');
+    button.disabled = false;
+  }
+}
+
+function renderActions(item) {
+  const footer = document.createElement('footer');
+  const running = state.job?.status === 'running';
+
+  if (item.status === 'done') {
+    const accept = document.createElement('button');
+    accept.className = `secondary accept${item.review === 'accepted' ? ' on' : ''}`;
+    accept.textContent = '채택';
+    accept.addEventListener('click', () => setReview(item, item.review === 'accepted' ? null : 'accepted'));
+
+    const reject = document.createElement('button');
+    reject.className = `secondary reject${item.review === 'rejected' ? ' on' : ''}`;
+    reject.textContent = '거절';
+    reject.addEventListener('click', () => setReview(item, item.review === 'rejected' ? null : 'rejected'));
+
+    footer.append(accept, reject);
+  }
+
+  const spacer = document.createElement('span');
+  spacer.className = 'spacer';
+
+  const mode = document.createElement('select');
+  Object.entries(MODE_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = `${label} 모드`;
+    mode.append(option);
+  });
+  mode.value = item.mode || state.job.mode;
+
+  const retry = document.createElement('button');
+  retry.className = 'secondary';
+  retry.textContent = '다시 번역';
+  retry.disabled = running || item.status === 'pending';
+  retry.addEventListener('click', () => retranslate([item.id], mode.value));
+
+  footer.append(spacer, mode, retry);
+  return footer;
+}
+
+async function setReview(item, review) {
+  try {
+    await updateItem(item.id, { review });
+    item.review = review;
+    renderSummary();
+    renderList();
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '검토 결과를 저장하지 못했습니다.');
+  }
+}
+
+async function onAcceptAll() {
+  const targets = state.items.filter((item) => item.status === 'done' && !item.review);
+  await Promise.all(targets.map((item) => updateItem(item.id, { review: 'accepted' })));
+  targets.forEach((item) => {
+    item.review = 'accepted';
+  });
+  renderSummary();
+  renderList();
+}
+
+/**
+ * 선택한 항목만 오프스크린 작업으로 다시 보낸다. 결과는 job:update 메시지로 갱신된다.
+ */
+async function retranslate(itemIds, mode) {
+  if (!itemIds.length) return;
+
+  try {
+    const keys = await loadKeys();
+    if (!keys.length) {
+      setStatus('팝업에서 API 키를 먼저 등록해주세요.');
+      return;
+    }
+    const response = await chrome.runtime.sendMessage({
+      target: 'background',
+      type: 'job:retranslate',
+      jobId: state.job.id,
+      itemIds,
+      mode,
+      keys,
+    });
+    if (response?.error) throw new Error(response.error);
+    setStatus(`${itemIds.length}개 이미지를 ${MODE_LABELS[mode]} 모드로 다시 번역합니다.`);
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '다시 번역을 요청하지 못했습니다.');
+  }
+}
+
+async function onDownloadAccepted() {
+  const accepted = state.items.filter((item) => item.status === 'done' && item.review === 'accepted');
+  if (!accepted.length) {
+    setStatus('채택한 이미지가 없습니다.');
+    return;
+  }
+
+  try {
+    await downloadZip(accepted.map(itemToResult), { job: state.job });
+    setStatus(`채택한 ${accepted.length}개 이미지를 다운로드했습니다.`);
+  } catch (e) {
+    console.error(e);
+    setStatus(e?.message || '다운로드 중 오류가 발생했습니다.');
+  }
+}
@@ -0,0 +1,151 @@
+// 429인데 서버가 대기 시간을 알려주지 않으면 이만큼 큐를 멈춘다.
+const QUOTA_COOLDOWN_MS = 10000;
+
+/**
+ * 동시 요청 수와 분당 요청 수를 함께 제한하는 요청 스케줄러.
+ * 요청 시작 시각은 실제로 요청을 내보내는 순간에 기록하므로, 여러 작업을 한꺼번에 넣어도
+ * 간격이 지켜진다. 429/Retry-After 오류가 나면 큐 전체를 그 시간만큼 멈춘다.
+ * pause()는 새 요청만 내보내지 않고 진행 중인 요청은 끝까지 기다린다.
+ * @param {Object} [options]
+ * @param {number} [options.maxConcurrent] - 동시에 진행할 최대 요청 수 (기본 2)
+ * @param {number} [options.requestsPerMinute] - 분당 최대 요청 수 (기본 18)
+ * @param {(stats: {queued: number, inFlight: number, completed: number, failed: number, paused: boolean}) => void} [options.onChange]
+ * @returns {{ schedule: <T>(task: () => Promise<T>) => Promise<T>, pause: () => void, resume: () => void, clear: (error: Error) => void, getStats: () => Object }}
+ */
+export function createScheduler(options = {}) {
+  const maxConcurrent = Math.max(1, Math.floor(options.maxConcurrent || 2));
+  const requestsPerMinute = Math.max(1, options.requestsPerMinute || 18);
+  const minIntervalMs = 60000 / requestsPerMinute;
+  const onChange = options.onChange;
+
+  const queue = [];
+  const stats = { queued: 0, inFlight: 0, completed: 0, failed: 0, paused: false };
+  let lastStartAt = 0;
+  let blockedUntil = 0;
+  let timer = null;
+
+  function notify() {
+    onChange?.({ ...stats });
+  }
+
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      stats.queued += 1;
+      notify();
+      pump();
+    });
+  }
+
+  function pump() {
+    if (timer || stats.paused) return;
+
+    while (queue.length && stats.inFlight < maxConcurrent) {
+      const now = Date.now();
+      const readyAt = Math.max(lastStartAt + minIntervalMs, blockedUntil);
+      if (now < readyAt) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, readyAt - now);
+        return;
+      }
+
+      const entry = queue.shift();
+      lastStartAt = now;
+      stats.queued -= 1;
+      stats.inFlight += 1;
+      notify();
+      run(entry);
+    }
+  }
+
+  async function run(entry) {
+    try {
+      const result = await entry.task();
+      stats.completed += 1;
+      entry.resolve(result);
+    } catch (e) {
+      // 일일 한도 초과는 다음 키로 바로 다시 보내므로 큐를 멈추지 않는다.
+      const pauseMs = e?.dailyQuotaExceeded ? 0 : e?.retryAfterMs ?? (e?.status === 429 ? QUOTA_COOLDOWN_MS : 0);
+      if (pauseMs) {
+        pauseFor(pauseMs);
+      }
+      stats.failed += 1;
+      entry.reject(e);
+    } finally {
+      stats.inFlight -= 1;
+      notify();
+      pump();
+    }
+  }
+
+  function pauseFor(ms) {
+    blockedUntil = Math.max(blockedUntil, Date.now() + ms);
+    // 이미 잡혀 있는 타이머는 예전 기준이라 새 차단 시각으로 다시 잡는다.
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function pause() {
+    stats.paused = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    notify();
+  }
+
+  function resume() {
+    stats.paused = false;
+    notify();
+    pump();
+  }
+
+  // 아직 내보내지 않은 요청을 모두 error로 끝낸다. 취소할 때 분당 간격을 기다리지 않게 한다.
+  function clear(error) {
+    while (queue.length) {
+      const entry = queue.shift();
+      stats.queued -= 1;
+      entry.reject(error);
+    }
+    notify();
+  }
+
+  return {
+    schedule,
+    pause,
+    resume,
+    clear,
+    getStats: () => ({ ...stats }),
+  };
+}
+
+/**
+ * 여러 API 키를 등록 순서대로 돌려 쓰는 키 묶음. 일일 한도에 걸린 키는 빼고 다음 키로 넘어간다.
+ * @param {Array<{ id: string, key: string }>} keys
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.exhausted] - 오늘 이미 한도에 걸린 키 id
+ * @param {(id: string) => void} [options.onExhausted] - 키가 새로 한도에 걸렸을 때 호출
+ * @returns {{ current: () => ({ id: string, key: string }|null), markExhausted: (id: string) => boolean }}
+ */
+export function createKeyRing(keys, options = {}) {
+  const exhausted = new Set(options.exhausted || []);
+
+  function current() {
+    return keys.find((k) => !exhausted.has(k.id)) || null;
+  }
+
+  // 쓸 수 있는 키가 남아 있으면 true
+  function markExhausted(id) {
+    if (id && !exhausted.has(id)) {
+      exhausted.add(id);
+      options.onExhausted?.(id);
+    }
+    return Boolean(current());
+  }
+
+  return { current, markExhausted };
+}
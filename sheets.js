@@ -0,0 +1,239 @@
+import { getOutputSize, pickAspectRatio } from './gemini.js';
+
+// 효율 모드 시트 배치. 열 수를 고정하지 않고 MaxRects 방식으로 타일을 2D 배치하며,
+// 시트 수를 줄일 수 있으면 글자가 읽히는 한도 안에서 타일을 줄인다.
+
+export const SHEET_SIZE = 2048;
+// 시트 안 타일 사이를 가르는 검은 경계선 두께
+export const SHEET_GAP = 12;
+
+// 타일의 기본 크기는 기존 효율 모드처럼 가로 1000px이지만,
+// 작은 아이콘을 억지로 키워 시트를 낭비하지 않도록 확대는 이 배율까지만 한다.
+const PREFERRED_WIDTH = 1000;
+const MAX_UPSCALE = 1.25;
+// 글자가 읽히는 하한. 원본 픽셀 대비 MIN_NATIVE_SCALE, 기본 크기 대비 MIN_PREFERRED_RATIO 중
+// 큰 쪽보다 작게는 줄이지 않는다. 원래 기본 크기보다 작게 들어가는 큰 이미지는 더 줄이지 않는다.
+const MIN_NATIVE_SCALE = 0.75;
+const MIN_PREFERRED_RATIO = 0.6;
+const RATIO_STEP = 0.05;
+
+/**
+ * 효율 모드에서 타일이 시트에 들어갈 기본 크기와, 글자가 읽히는 한도 안에서 줄일 수 있는 최소 비율.
+ * @param {number} srcWidth
+ * @param {number} srcHeight
+ * @returns {{ width: number, height: number, minRatio: number }}
+ */
+export function saverTileSize(srcWidth, srcHeight) {
+  const scale = Math.min(
+    PREFERRED_WIDTH / (srcWidth || 1),
+    SHEET_SIZE / (srcHeight || 1),
+    SHEET_SIZE / (srcWidth || 1),
+    MAX_UPSCALE
+  );
+  return {
+    width: Math.max(1, Math.min(Math.round(srcWidth * scale), SHEET_SIZE)),
+    height: Math.max(1, Math.min(Math.round(srcHeight * scale), SHEET_SIZE)),
+    minRatio: Math.min(1, Math.max(MIN_PREFERRED_RATIO, MIN_NATIVE_SCALE / scale)),
+  };
+}
+
+/**
+ * 타일을 2048 시트에 배치한다. 기본 크기부터 배율을 낮춰 가며(타일별 minRatio 아래로는 내려가지 않음)
+ * 시트 수가 가장 적은 배치를 고르고(같으면 큰 배율), 시트마다 한 장에 들어가는 가장 큰 배율로 다시 키운다.
+ * 시트 캔버스는 배치된 영역을 감싸는 가장 가까운 지원 비율 크기로 잘라, 빈 여백을 보내지 않는다.
+ * render가 false면 배치만 계산하고 캔버스는 그리지 않는다.
+ * @param {Array<{ width: number, height: number, minRatio?: number, img?: CanvasImageSource }>} tiles
+ *   saverTileSize 결과와 그릴 원본 이미지
+ * @param {{ render?: boolean }} [options]
+ * @returns {Array<{ placements: Object[], fill: number, width: number, height: number, aspectRatio: string,
+ *   canvas?: HTMLCanvasElement }>}
+ *   placements는 { tile, x, y, width, height }, fill은 2048 배치 영역 중 타일이 차지하는 비율(0~1)
+ */
+export function buildSheets(tiles, { render = true } = {}) {
+  if (!tiles.length) return [];
+
+  const minRatio = Math.min(...tiles.map((tile) => tile.minRatio ?? 1));
+  let best = null;
+  for (const ratio of candidateRatios(minRatio)) {
+    const groups = packGroups(tiles, ratio);
+    if (!best || groups.length < best.groups.length) best = { ratio, groups };
+  }
+
+  const sheets = best.groups.map((group) => {
+    // 묶음이 정해진 뒤에는 시트별로 여유가 있는 만큼 글자를 다시 키운다.
+    for (const ratio of candidateRatios(best.ratio)) {
+      const placements = packSingleSheet(group, ratio);
+      if (placements) return { placements, fill: measureFill(placements), ...fitSheetFrame(placements) };
+    }
+    throw new Error('타일 배치에 실패했습니다.');
+  });
+
+  if (render) sheets.forEach((sheet) => (sheet.canvas = renderSheet(sheet)));
+  return sheets;
+}
+
+/**
+ * 시트 채움 비율을 사람이 읽을 수 있게 요약한다. 예: "3장 (92%, 88%, 41%)"
+ * @param {Array<{ fill: number }>} sheets
+ * @returns {string}
+ */
+export function describeSheetFill(sheets) {
+  const fills = sheets.map((sheet) => `${Math.round(sheet.fill * 100)}%`);
+  return `${sheets.length}장 (${fills.join(', ')})`;
+}
+
+function candidateRatios(minRatio) {
+  const ratios = [];
+  for (let ratio = 1; ratio > minRatio + 1e-9; ratio -= RATIO_STEP) {
+    ratios.push(Math.round(ratio * 100) / 100);
+  }
+  ratios.push(minRatio);
+  return ratios;
+}
+
+function scaledSize(tile, ratio) {
+  const scale = Math.max(ratio, tile.minRatio ?? 1);
+  return {
+    width: Math.max(1, Math.round(tile.width * scale)),
+    height: Math.max(1, Math.round(tile.height * scale)),
+  };
+}
+
+// 큰 타일부터 열려 있는 시트 중 처음 들어가는 곳에 넣고, 없으면 새 시트를 연다.
+function packGroups(tiles, ratio) {
+  const sheets = [];
+  for (const tile of sortForPacking(tiles)) {
+    const size = scaledSize(tile, ratio);
+    let target = sheets.find((sheet) => sheet.packer.insert(size.width, size.height));
+    if (!target) {
+      target = { packer: createPacker(), tiles: [] };
+      if (!target.packer.insert(size.width, size.height)) {
+        throw new Error('타일 배치에 실패했습니다.');
+      }
+      sheets.push(target);
+    }
+    target.tiles.push(tile);
+  }
+  return sheets.map((sheet) => sheet.tiles);
+}
+
+function packSingleSheet(tiles, ratio) {
+  const packer = createPacker();
+  const placements = [];
+  for (const tile of sortForPacking(tiles)) {
+    const size = scaledSize(tile, ratio);
+    const rect = packer.insert(size.width, size.height);
+    if (!rect) return null;
+    placements.push({ tile, x: rect.x, y: rect.y, ...size });
+  }
+  return placements;
+}
+
+function sortForPacking(tiles) {
+  return [...tiles].sort(
+    (a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height) || b.width * b.height - a.width * a.height
+  );
+}
+
+/**
+ * MaxRects(Best Short Side Fit) 배치기. 타일마다 오른쪽·아래에 경계선 폭만큼 여백을 두고,
+ * 시트 가장자리에서는 그 여백이 밖으로 나가도 되도록 배치 영역을 경계선 폭만큼 넓게 잡는다.
+ */
+function createPacker() {
+  const area = SHEET_SIZE + SHEET_GAP;
+  let freeRects = [{ x: 0, y: 0, width: area, height: area }];
+
+  function insert(width, height) {
+    const w = width + SHEET_GAP;
+    const h = height + SHEET_GAP;
+    let best = null;
+    for (const free of freeRects) {
+      if (w > free.width || h > free.height) continue;
+      const shortSide = Math.min(free.width - w, free.height - h);
+      const longSide = Math.max(free.width - w, free.height - h);
+      if (!best || shortSide < best.shortSide || (shortSide === best.shortSide && longSide < best.longSide)) {
+        best = { x: free.x, y: free.y, shortSide, longSide };
+      }
+    }
+    if (!best) return null;
+
+    const used = { x: best.x, y: best.y, width: w, height: h };
+    const next = [];
+    for (const free of freeRects) {
+      if (!intersects(free, used)) {
+        next.push(free);
+        continue;
+      }
+      if (used.x > free.x) {
+        next.push({ x: free.x, y: free.y, width: used.x - free.x, height: free.height });
+      }
+      if (used.x + used.width < free.x + free.width) {
+        const x = used.x + used.width;
+        next.push({ x, y: free.y, width: free.x + free.width - x, height: free.height });
+      }
+      if (used.y > free.y) {
+        next.push({ x: free.x, y: free.y, width: free.width, height: used.y - free.y });
+      }
+      if (used.y + used.height < free.y + free.height) {
+        const y = used.y + used.height;
+        next.push({ x: free.x, y, width: free.width, height: free.y + free.height - y });
+      }
+    }
+    // 다른 빈 영역에 완전히 포함되는 영역은 버린다.
+    freeRects = next.filter(
+      (rect, i) => !next.some((other, j) => j !== i && contains(other, rect) && (!contains(rect, other) || j < i))
+    );
+    return { x: best.x, y: best.y };
+  }
+
+  return { insert };
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function contains(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
+
+// 배치된 영역(경계선 포함)을 감싸면서 지원 비율과 정확히 같은 가장 작은 캔버스 크기
+function fitSheetFrame(placements) {
+  const usedWidth = Math.min(SHEET_SIZE, Math.max(...placements.map((p) => p.x + p.width + SHEET_GAP / 2)));
+  const usedHeight = Math.min(SHEET_SIZE, Math.max(...placements.map((p) => p.y + p.height + SHEET_GAP / 2)));
+  const aspectRatio = pickAspectRatio(usedWidth, usedHeight);
+  const output = getOutputSize(aspectRatio);
+  const ratio = output.width / output.height;
+  if (usedWidth / usedHeight > ratio) {
+    return { aspectRatio, width: Math.ceil(usedWidth), height: Math.ceil(usedWidth / ratio) };
+  }
+  return { aspectRatio, width: Math.ceil(usedHeight * ratio), height: Math.ceil(usedHeight) };
+}
+
+function measureFill(placements) {
+  const used = placements.reduce((sum, p) => sum + p.width * p.height, 0);
+  return used / (SHEET_SIZE * SHEET_SIZE);
+}
+
+// 타일마다 경계선 폭의 절반씩 검은 테두리를 둘러, 이웃한 타일 사이에 SHEET_GAP 두께의 선이 생기게 한다.
+function renderSheet({ placements, width, height }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  const border = SHEET_GAP / 2;
+  ctx.fillStyle = '#000000';
+  placements.forEach((p) => ctx.fillRect(p.x - border, p.y - border, p.width + SHEET_GAP, p.height + SHEET_GAP));
+
+  ctx.imageSmoothingQuality = 'high';
+  placements.forEach((p) => ctx.drawImage(p.tile.img, p.x, p.y, p.width, p.height));
+  return canvas;
+}
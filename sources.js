@@ -0,0 +1,140 @@
+import { listQueue, putQueueEntries } from './db.js';
+
+// 번역할 이미지를 모으는 입력 경로(폴더 선택, 끌어다 놓기, 붙여넣기)가 함께 쓰는 도우미.
+// 같은 이미지를 두 번 보내 비용을 쓰지 않도록 내용 해시로 중복을 거른다.
+
+/**
+ * 파일 내용의 SHA-256 해시(16진수).
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 내용이 같은 이미지를 하나만 남긴다. 순서는 처음 나온 것을 기준으로 유지한다.
+ * @template {{ blob: Blob, hash?: string }} T
+ * @param {T[]} sources
+ * @param {Set<string>} [knownHashes] - 이미 대기열·작업에 있는 해시
+ * @returns {Promise<{ unique: Array<T & { hash: string }>, duplicates: T[] }>}
+ */
+export async function dedupeSources(sources, knownHashes = new Set()) {
+  const seen = new Set(knownHashes);
+  const unique = [];
+  const duplicates = [];
+  for (const source of sources) {
+    const hash = source.hash || (await hashBlob(source.blob));
+    if (seen.has(hash)) {
+      duplicates.push(source);
+      continue;
+    }
+    seen.add(hash);
+    unique.push({ ...source, hash });
+  }
+  return { unique, duplicates };
+}
+
+/**
+ * 끌어다 놓은 파일과 폴더를 펼쳐 이미지 파일만 모은다. 폴더는 하위 폴더까지 읽는다.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{ file: File, relativePath: string }>>}
+ */
+export async function readDroppedFiles(dataTransfer) {
+  // drop 이벤트가 끝나면 items를 읽을 수 없으므로 entry부터 먼저 꺼내 둔다.
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!entries.length) {
+    return Array.from(dataTransfer.files || [])
+      .filter(isImageFile)
+      .map((file) => ({ file, relativePath: file.name }));
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await walkEntry(entry, files);
+  }
+  return files;
+}
+
+// 붙여넣은 이미지 이름에 붙일 확장자. MIME 하위 형식을 그대로 쓰면 'svg+xml'처럼 확장자가 아닌 값이 된다.
+const PASTE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+};
+
+/**
+ * 클립보드에 붙여넣은 이미지. 스크린샷처럼 이름이 없는 이미지는 붙여넣은 시각으로 이름을 짓는다.
+ * @param {ClipboardEvent} event
+ * @returns {Array<{ file: File, relativePath: string }>}
+ */
+export function readPastedFiles(event) {
+  const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  return Array.from(event.clipboardData?.files || [])
+    .filter(isImageFile)
+    .map((file, index) => {
+      const ext = PASTE_EXTENSIONS[file.type] || 'png';
+      const name = file.name && file.name !== 'image.png' ? file.name : `paste-${stamp}-${index + 1}.${ext}`;
+      return { file: new File([file], name, { type: file.type }), relativePath: name };
+    });
+}
+
+/**
+ * 파일을 대기열 끝에 추가한다. 대기열에 이미 있는 이미지와 같은 내용이면 건너뛴다.
+ * @param {Array<{ file: File, relativePath: string }>} files
+ * @returns {Promise<{ added: number, skipped: string[] }>} - skipped는 건너뛴 파일 경로
+ */
+export async function addToQueue(files) {
+  const queue = await listQueue();
+  const { unique, duplicates } = await dedupeSources(
+    files.map(({ file, relativePath }) => ({ blob: file, fileName: file.name, relativePath })),
+    new Set(queue.map((entry) => entry.hash))
+  );
+
+  const now = Date.now();
+  const firstIndex = queue.reduce((max, entry) => Math.max(max, entry.index + 1), 0);
+  const entries = unique.map((source, offset) => ({
+    id: `queue-${now}-${offset}`,
+    index: firstIndex + offset,
+    fileName: source.fileName,
+    relativePath: source.relativePath,
+    blob: source.blob,
+    hash: source.hash,
+    // null이면 실행할 때 팝업에서 고른 모드를 따른다.
+    mode: null,
+    addedAt: now,
+  }));
+  await putQueueEntries(entries);
+  return { added: entries.length, skipped: duplicates.map((d) => d.relativePath) };
+}
+
+export function isImageFile(file) {
+  return file.type.startsWith('image/');
+}
+
+async function walkEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    // fullPath는 '/폴더/파일명' 형태. 폴더 선택의 webkitRelativePath와 맞춘다.
+    if (isImageFile(file)) files.push({ file, relativePath: entry.fullPath.replace(/^\//, '') });
+    return;
+  }
+  if (!entry.isDirectory) return;
+
+  const reader = entry.createReader();
+  // readEntries는 한 번에 최대 100개씩 돌려주므로 빈 배열이 나올 때까지 읽는다.
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    for (const child of batch) {
+      await walkEntry(child, files);
+    }
+  }
+}
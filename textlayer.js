@@ -0,0 +1,242 @@
+import { canvasToBlob, loadImage, readAsDataUrl } from './image.js';
+
+// 로컬 합성 모드: 텍스트 추출 결과(글자 덩어리의 위치와 번역)로 번역 이미지를 직접 그린다.
+// 글자 영역만 주변 배경으로 덮고 그 위에 번역문을 쓰므로 나머지 픽셀은 원본과 똑같다.
+
+const FONT_FAMILY = '"Noto Sans KR", "Apple SD Gothic Neo", "Malgun Gothic", sans-serif';
+const MIN_FONT_SIZE = 8;
+const LINE_HEIGHT = 1.2;
+// Gemini 상자는 글자에 딱 맞거나 조금 작아서, 획 끝이 남지 않도록 넓혀서 덮는다.
+const BOX_PADDING_RATIO = 0.08;
+// 상자 바깥에서 배경색을 읽을 띠 두께(px)
+const RING_WIDTH = 3;
+// 배경색 표준편차가 이보다 작으면 단색으로 덮고, 크면 덮은 자리의 가장자리를 주변과 번지게 한다.
+const FLAT_BACKGROUND_STDDEV = 18;
+// 배경색과 이만큼 떨어진 픽셀을 글자 획으로 보고 글자색을 뽑는다.
+const TEXT_COLOR_DISTANCE = 60;
+
+/**
+ * 원본 위에 번역문을 그린 PNG를 만든다. 번역이 비었거나 원문과 같은 덩어리(브랜드명 등)는 원본 그대로 둔다.
+ * @param {Blob} blob - 원본 이미지
+ * @param {Array<{ text: string, translation: string, box: { x: number, y: number, width: number, height: number } }>} blocks
+ *   - 위치는 원본 픽셀 좌표
+ * @returns {Promise<Blob>}
+ */
+export async function renderTextLayer(blob, blocks) {
+  const img = await loadImage(await readAsDataUrl(blob));
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+
+  // 색은 어떤 상자도 덮기 전에 읽어야 이웃한 상자끼리 영향을 주지 않는다.
+  const regions = blocks
+    .filter((block) => block.translation?.trim() && block.translation.trim() !== block.text.trim())
+    .map((block) => {
+      const rect = padBox(block.box, canvas.width, canvas.height);
+      return { translation: block.translation.trim(), rect, ...sampleColors(ctx, rect) };
+    })
+    .filter((region) => region.rect.width > 0 && region.rect.height > 0);
+
+  regions.forEach((region) => eraseRegion(ctx, region));
+  // 모든 상자를 덮은 뒤에 번지게 해야 아직 덮지 않은 이웃 상자의 글자가 섞여 들지 않는다.
+  regions.filter((region) => !region.flat).forEach((region) => blendEdges(ctx, region));
+  regions.forEach((region) => drawTranslation(ctx, region));
+  return await canvasToBlob(canvas);
+}
+
+/**
+ * 상자 안에 들어가는 가장 큰 글자 크기와 줄바꿈 결과. 가장 작은 크기로도 넘치면 그 크기로 돌려준다.
+ * @param {(text: string, fontSize: number) => number} measure - 글자 크기별 문자열 폭
+ * @param {string} text
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ fontSize: number, lines: string[] }}
+ */
+function fitText(measure, text, width, height) {
+  const layout = (fontSize) => wrapText((line) => measure(line, fontSize), text, width);
+  const fits = (fontSize, lines) => lines.length * fontSize * LINE_HEIGHT <= height;
+
+  let low = MIN_FONT_SIZE;
+  let high = Math.max(MIN_FONT_SIZE, Math.floor(height / LINE_HEIGHT));
+  let best = { fontSize: MIN_FONT_SIZE, lines: layout(MIN_FONT_SIZE) };
+  while (low <= high) {
+    const fontSize = Math.floor((low + high) / 2);
+    const lines = layout(fontSize);
+    if (fits(fontSize, lines)) {
+      best = { fontSize, lines };
+      low = fontSize + 1;
+    } else {
+      high = fontSize - 1;
+    }
+  }
+  return best;
+}
+
+/**
+ * 폭에 맞춰 줄을 나눈다. 띄어쓰기 단위로 나누고, 한 단어가 폭보다 길면 글자 단위로 자른다.
+ * 원문에 있던 줄바꿈은 그대로 지킨다.
+ * @param {(text: string) => number} measure
+ * @param {string} text
+ * @param {number} width
+ * @returns {string[]}
+ */
+function wrapText(measure, text, width) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const char of Array.from(word)) {
+        if (line && measure(line + char) > width) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    if (line) lines.push(line);
+  }
+  return lines.length ? lines : [''];
+}
+
+function padBox(box, canvasWidth, canvasHeight) {
+  const pad = Math.max(1, Math.round(Math.min(box.width, box.height) * BOX_PADDING_RATIO));
+  const x = Math.max(0, box.x - pad);
+  const y = Math.max(0, box.y - pad);
+  return {
+    x,
+    y,
+    width: Math.min(canvasWidth, box.x + box.width + pad) - x,
+    height: Math.min(canvasHeight, box.y + box.height + pad) - y,
+  };
+}
+
+/**
+ * 상자 바로 바깥 띠에서 배경색과 배경이 단색인지를, 상자 안에서 배경과 다른 픽셀로 글자색을 구한다.
+ */
+function sampleColors(ctx, rect) {
+  const outer = {
+    x: Math.max(0, rect.x - RING_WIDTH),
+    y: Math.max(0, rect.y - RING_WIDTH),
+  };
+  outer.width = Math.min(ctx.canvas.width, rect.x + rect.width + RING_WIDTH) - outer.x;
+  outer.height = Math.min(ctx.canvas.height, rect.y + rect.height + RING_WIDTH) - outer.y;
+  const { data } = ctx.getImageData(outer.x, outer.y, outer.width, outer.height);
+
+  const ring = [];
+  const inside = [];
+  for (let row = 0; row < outer.height; row += 1) {
+    for (let col = 0; col < outer.width; col += 1) {
+      const i = (row * outer.width + col) * 4;
+      const pixel = [data[i], data[i + 1], data[i + 2]];
+      const x = outer.x + col;
+      const y = outer.y + row;
+      const isInside = x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+      (isInside ? inside : ring).push(pixel);
+    }
+  }
+
+  // 상자가 이미지 전체를 덮어 띠가 없으면 상자 안 평균을 배경으로 본다.
+  const background = averageColor(ring.length ? ring : inside);
+  const spread = ring.length ? colorStdDev(ring, background) : Infinity;
+  const strokes = inside.filter((pixel) => colorDistance(pixel, background) > TEXT_COLOR_DISTANCE);
+  const textColor = strokes.length ? averageColor(strokes) : contrastColor(background);
+  return { background, flat: spread < FLAT_BACKGROUND_STDDEV, textColor };
+}
+
+/**
+ * 상자를 배경색으로 칠해 원래 글자를 지운다.
+ */
+function eraseRegion(ctx, { rect, background }) {
+  ctx.save();
+  ctx.fillStyle = toCss(background);
+  ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  ctx.restore();
+}
+
+/**
+ * 무늬나 사진 위의 상자는 단색으로 칠한 자리가 도드라지므로, 칠한 상자와 주변을 함께 흐려 상자 안에만 다시 그린다.
+ * 글자는 이미 지웠으므로 가장자리에는 주변 무늬가 번져 들고 가운데는 배경색이 남는다.
+ */
+function blendEdges(ctx, { rect }) {
+  const radius = Math.max(4, Math.round(Math.min(rect.width, rect.height) / 3));
+  const x = Math.max(0, rect.x - radius * 2);
+  const y = Math.max(0, rect.y - radius * 2);
+  const width = Math.min(ctx.canvas.width, rect.x + rect.width + radius * 2) - x;
+  const height = Math.min(ctx.canvas.height, rect.y + rect.height + radius * 2) - y;
+  const patch = document.createElement('canvas');
+  patch.width = width;
+  patch.height = height;
+  patch.getContext('2d').drawImage(ctx.canvas, x, y, width, height, 0, 0, width, height);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.x, rect.y, rect.width, rect.height);
+  ctx.clip();
+  ctx.filter = `blur(${radius}px)`;
+  ctx.drawImage(patch, x, y);
+  ctx.restore();
+}
+
+function drawTranslation(ctx, { translation, rect, textColor }) {
+  const font = (fontSize) => `bold ${fontSize}px ${FONT_FAMILY}`;
+  const measure = (text, fontSize) => {
+    ctx.font = font(fontSize);
+    return ctx.measureText(text).width;
+  };
+  const { fontSize, lines } = fitText(measure, translation, rect.width, rect.height);
+
+  ctx.save();
+  ctx.font = font(fontSize);
+  ctx.fillStyle = toCss(textColor);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const top = rect.y + (rect.height - lines.length * lineHeight) / 2;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, rect.x + rect.width / 2, top + lineHeight * (i + 0.5));
+  });
+  ctx.restore();
+}
+
+function averageColor(pixels) {
+  const sum = [0, 0, 0];
+  pixels.forEach((pixel) => {
+    sum[0] += pixel[0];
+    sum[1] += pixel[1];
+    sum[2] += pixel[2];
+  });
+  const count = Math.max(1, pixels.length);
+  return sum.map((value) => Math.round(value / count));
+}
+
+// 채널별 표준편차의 평균
+function colorStdDev(pixels, mean) {
+  const sum = [0, 0, 0];
+  pixels.forEach((pixel) => {
+    for (let c = 0; c < 3; c += 1) sum[c] += (pixel[c] - mean[c]) ** 2;
+  });
+  const count = Math.max(1, pixels.length);
+  return sum.reduce((total, value) => total + Math.sqrt(value / count), 0) / 3;
+}
+
+function colorDistance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+function contrastColor([r, g, b]) {
+  const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+  return luminance > 140 ? [17, 24, 39] : [255, 255, 255];
+}
+
+function toCss([r, g, b]) {
+  return `rgb(${r}, ${g}, ${b})`;
+}
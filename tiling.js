@@ -0,0 +1,119 @@
+// 세로로 긴 상세페이지나 아주 큰 이미지는 한 번에 2048로 줄이면 글자가 뭉개진다.
+// 겹치는 조각으로 나눠 각각 번역한 뒤, 겹친 구간을 섞어 원래 크기로 이어 붙인다.
+const TILE_ASPECT_THRESHOLD = 2;
+const HUGE_SIDE = 4096;
+const MIN_SEGMENT = 512;
+const MAX_SEGMENT = 2048;
+const OVERLAP_RATIO = 0.12;
+const MIN_OVERLAP = 48;
+
+/**
+ * 긴 변/짧은 변 비율이 크거나 긴 변이 아주 길면 분할 대상이다.
+ * @param {number} width
+ * @param {number} height
+ * @returns {boolean}
+ */
+export function shouldTile(width, height) {
+  const longSide = Math.max(width, height);
+  const shortSide = Math.max(1, Math.min(width, height));
+  return longSide / shortSide >= TILE_ASPECT_THRESHOLD || longSide > HUGE_SIDE;
+}
+
+/**
+ * 이미지를 겹치는 조각으로 나눈다. 조각은 위→아래, 왼→오른쪽 순서이며
+ * overlapLeft/overlapTop은 앞 조각과 겹치는 폭(px)이다.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{x: number, y: number, width: number, height: number, overlapLeft: number, overlapTop: number}>}
+ */
+export function planSegments(width, height) {
+  const size = Math.min(Math.max(Math.min(width, height), MIN_SEGMENT), MAX_SEGMENT);
+  const columns = planAxis(width, size);
+  const rows = planAxis(height, size);
+
+  const segments = [];
+  rows.forEach((row) => {
+    columns.forEach((col) => {
+      segments.push({
+        x: col.start,
+        y: row.start,
+        width: col.length,
+        height: row.length,
+        overlapLeft: col.overlap,
+        overlapTop: row.overlap,
+      });
+    });
+  });
+  return segments;
+}
+
+function planAxis(length, size) {
+  if (length <= size) return [{ start: 0, length, overlap: 0 }];
+
+  const overlap = Math.max(MIN_OVERLAP, Math.round(size * OVERLAP_RATIO));
+  const count = Math.ceil((length - overlap) / (size - overlap));
+  // 마지막 조각이 짧아지지 않도록 시작점을 고르게 펼친다. 실제 겹침은 overlap 이상이 된다.
+  const step = (length - size) / (count - 1);
+  const starts = Array.from({ length: count }, (_, i) => Math.round(i * step));
+
+  return starts.map((start, i) => ({
+    start,
+    length: size,
+    overlap: i === 0 ? 0 : starts[i - 1] + size - start,
+  }));
+}
+
+/**
+ * 원본 이미지에서 조각 하나를 원래 해상도 그대로 잘라낸다.
+ */
+export function cropSegment(img, segment) {
+  const canvas = document.createElement('canvas');
+  canvas.width = segment.width;
+  canvas.height = segment.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, -segment.x, -segment.y);
+  return canvas;
+}
+
+/**
+ * 번역된 조각을 원래 크기 캔버스에 순서대로 붙인다.
+ * 겹친 구간은 새 조각의 알파를 0→1로 올려 이음새가 보이지 않게 섞는다.
+ * @param {number} width
+ * @param {number} height
+ */
+export function createStitcher(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+
+  function add(segment, image) {
+    const layer = document.createElement('canvas');
+    layer.width = segment.width;
+    layer.height = segment.height;
+    const layerCtx = layer.getContext('2d');
+    layerCtx.drawImage(image, 0, 0, segment.width, segment.height);
+
+    layerCtx.globalCompositeOperation = 'destination-in';
+    if (segment.overlapLeft > 0) {
+      const gradient = layerCtx.createLinearGradient(0, 0, segment.overlapLeft, 0);
+      gradient.addColorStop(0, 'rgba(0,0,0,0)');
+      gradient.addColorStop(1, 'rgba(0,0,0,1)');
+      layerCtx.fillStyle = gradient;
+      layerCtx.fillRect(0, 0, segment.width, segment.height);
+    }
+    if (segment.overlapTop > 0) {
+      const gradient = layerCtx.createLinearGradient(0, 0, 0, segment.overlapTop);
+      gradient.addColorStop(0, 'rgba(0,0,0,0)');
+      gradient.addColorStop(1, 'rgba(0,0,0,1)');
+      layerCtx.fillStyle = gradient;
+      layerCtx.fillRect(0, 0, segment.width, segment.height);
+    }
+
+    ctx.drawImage(layer, segment.x, segment.y);
+  }
+
+  return { canvas, add };
+}
@@ -0,0 +1,589 @@
+import { encodeImage, readImageSizes, stripExtension } from './image.js';
+
+const FORMAT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+const TYPE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp',
+};
+
+const DEFAULT_OUTPUT_OPTIONS = {
+  format: 'png',
+  quality: 0.9,
+  originalResolution: false,
+  keepOriginalName: false,
+  saveToFile: false,
+};
+
+const ZIP64_LIMIT = 0xffffffff;
+const ZIP32_MAX_ENTRIES = 0xffff;
+
+// JPEG/WebP는 이미 압축되어 DEFLATE로 거의 줄지 않으므로 그대로 저장한다.
+const STORED_TYPES = new Set(['image/jpeg', 'image/webp']);
+
+/**
+ * 팝업에서 저장한 출력 설정을 읽는다. 팝업과 검토 화면이 같은 설정을 쓴다.
+ * @returns {{ format: string, quality: number, originalResolution: boolean, keepOriginalName: boolean }}
+ */
+export function loadOutputOptions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('gemini_output_options') || '{}');
+    return { ...DEFAULT_OUTPUT_OPTIONS, ...saved };
+  } catch (e) {
+    return { ...DEFAULT_OUTPUT_OPTIONS };
+  }
+}
+
+export function saveOutputOptions(options) {
+  localStorage.setItem('gemini_output_options', JSON.stringify(options));
+}
+
+/**
+ * IndexedDB의 작업 항목을 downloadZip이 받는 결과 형태로 바꾼다.
+ */
+export function itemToResult(item) {
+  return {
+    baseName: stripExtension(item.fileName),
+    fileName: item.fileName,
+    relativePath: item.relativePath || item.fileName,
+    mode: item.mode || null,
+    sheetId: item.sheetId || null,
+    alignment: item.alignment ?? null,
+    segments: item.segments || null,
+    requestedAt: item.requestedAt || null,
+    finishedAt: item.finishedAt || null,
+    attempts: item.attempts || null,
+    cacheHits: item.cacheHits || null,
+    textBlocks: item.textBlocks || null,
+    quality: item.quality || null,
+    sourceBlob: item.sourceBlob,
+    paddedBlob: item.paddedBlob,
+    translatedBlob: item.translatedBlob,
+    error: item.status === 'failed' ? item.error : null,
+  };
+}
+
+/**
+ * 결과를 ZIP으로 묶어 내려받는다. 원본 폴더 구조를 그대로 따르고,
+ * 실패 항목은 errors.txt에, 전체 매핑은 manifest.json/manifest.csv에 적는다.
+ * 텍스트 추출 결과는 모든 항목을 모아 text.json/text.csv 한 쌍으로 넣고, 번역 이미지가 없는 항목은 이미지를 넣지 않는다.
+ * 항목은 준비되는 대로 ZIP에 써서 전체 결과를 한꺼번에 메모리에 올리지 않는다.
+ * @param {Object[]} items - itemToResult 형태의 결과 목록
+ * @param {Object} [options]
+ * @param {Object} [options.job] - manifest에 남길 작업 정보
+ * @param {Object} [options.outputOptions] - 생략하면 저장된 출력 설정을 쓴다
+ */
+export async function downloadZip(items, { job = null, outputOptions = loadOutputOptions() } = {}) {
+  const fileName = 'translated-images.zip';
+  const sink = await openZipSink(fileName, outputOptions.saveToFile);
+  const writer = createZipWriter(sink);
+  const nameCount = new Map();
+  const manifestEntries = [];
+
+  const withUniqueName = (base, ext) => {
+    const key = `${base}${ext}`.toLowerCase();
+    const count = nameCount.get(key) || 0;
+    nameCount.set(key, count + 1);
+    return count === 0 ? `${base}${ext}` : `${base}-${count}${ext}`;
+  };
+
+  const failures = [];
+  const textItems = [];
+
+  try {
+    for (const item of items) {
+      if (item.error) {
+        failures.push(item);
+        manifestEntries.push(toManifestEntry(item, null, null));
+        continue;
+      }
+      if (item.textBlocks) textItems.push(item);
+      if (!item.translatedBlob) {
+        manifestEntries.push(toManifestEntry(item, null, null));
+        continue;
+      }
+      const dir = getDirectory(item.relativePath);
+      const output = await prepareOutput(item, outputOptions);
+      let originalName;
+      let translatedName;
+      if (outputOptions.keepOriginalName) {
+        // 원본과 번역본의 파일명이 같아지므로 최상위 폴더로 나눈다.
+        originalName = withUniqueName(`original/${dir}${item.baseName}`, output.originalExt);
+        translatedName = withUniqueName(`translated/${dir}${item.baseName}`, output.translatedExt);
+      } else {
+        originalName = withUniqueName(`${dir}${item.baseName}`, output.originalExt);
+        translatedName = withUniqueName(`${dir}${item.baseName}-(translate)`, output.translatedExt);
+      }
+      await writer.add(originalName, output.original, {
+        lastModified: item.sourceBlob?.lastModified || item.finishedAt,
+      });
+      await writer.add(translatedName, output.translated, { lastModified: item.finishedAt });
+      manifestEntries.push(toManifestEntry(item, originalName, translatedName));
+    }
+
+    if (textItems.length) {
+      await writer.add('text.json', new Blob([toTextJson(textItems)], { type: 'application/json' }));
+      await writer.add('text.csv', new Blob([toTextCsv(textItems)], { type: 'text/csv' }));
+    }
+
+    if (failures.length) {
+      const report = [`번역 실패 목록 (${failures.length}건)`, '', ...failures.map((f) => `${f.fileName}\t${f.error}`)];
+      await writer.add('errors.txt', new Blob([report.join('\n')], { type: 'text/plain' }));
+    }
+
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      job: job ? { id: job.id, mode: job.mode, settings: job.settings, createdAt: job.createdAt } : null,
+      output: outputOptions,
+      items: manifestEntries,
+    };
+    await writer.add(
+      'manifest.json',
+      new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' })
+    );
+    await writer.add('manifest.csv', new Blob([toManifestCsv(manifestEntries)], { type: 'text/csv' }));
+
+    await writer.finish();
+  } catch (e) {
+    await sink.abort();
+    throw e;
+  }
+
+  const zipBlob = await sink.close();
+  if (!zipBlob) return;
+
+  const url = URL.createObjectURL(zipBlob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  // 클릭 직후 해제하면 큰 파일은 다운로드가 시작되기 전에 URL이 사라질 수 있다.
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * 번역 이미지 한 장을 ZIP 없이 내보낼 때 쓴다. 파일명·형식은 ZIP 안의 번역 파일과 같은 규칙을 따른다.
+ * @param {Object} item - itemToResult 형태의 결과
+ * @param {Object} [outputOptions]
+ * @returns {Promise<{ blob: Blob, fileName: string }>}
+ */
+export async function prepareTranslatedFile(item, outputOptions = loadOutputOptions()) {
+  const output = await prepareOutput(item, outputOptions);
+  const suffix = outputOptions.keepOriginalName ? '' : '-(translate)';
+  return { blob: output.translated, fileName: `${item.baseName}${suffix}${output.translatedExt}` };
+}
+
+/**
+ * 텍스트 추출 결과 한 장을 ZIP 없이 내보낼 때 쓴다. 내용은 ZIP 안의 text.csv와 같은 형식이다.
+ * @param {Object} item - textBlocks가 있는 itemToResult 형태의 결과
+ * @returns {{ blob: Blob, fileName: string }}
+ */
+export function prepareTextFile(item) {
+  return { blob: new Blob([toTextCsv([item])], { type: 'text/csv' }), fileName: `${item.baseName}-(text).csv` };
+}
+
+/**
+ * ZIP을 쓸 대상. 가능하면 File System Access API로 디스크에 바로 쓰고,
+ * 지원하지 않거나 사용자 제스처가 없으면 Blob 조각을 모았다가 내려받는다.
+ */
+async function openZipSink(fileName, saveToFile) {
+  if (saveToFile && typeof window.showSaveFilePicker === 'function') {
+    try {
+      const handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{ description: 'ZIP 파일', accept: { 'application/zip': ['.zip'] } }],
+      });
+      const writable = await handle.createWritable();
+      return {
+        write: (chunk) => writable.write(chunk),
+        close: async () => {
+          await writable.close();
+          return null;
+        },
+        abort: () => writable.abort().catch(() => {}),
+      };
+    } catch (e) {
+      if (e?.name === 'AbortError') throw new Error('저장을 취소했습니다.');
+      // 자동 다운로드처럼 사용자 제스처 없이 호출되면 파일 선택창을 열 수 없다.
+      console.error(e);
+    }
+  }
+
+  // Blob은 조각을 이어 붙이기만 하므로 거대한 Uint8Array 하나를 만들지 않는다.
+  const parts = [];
+  return {
+    write: async (chunk) => {
+      parts.push(chunk);
+    },
+    close: async () => new Blob(parts, { type: 'application/zip' }),
+    abort: async () => {
+      parts.length = 0;
+    },
+  };
+}
+
+/**
+ * 출력 설정에 맞춰 원본/번역 이미지를 다시 인코딩하고 확장자를 정한다.
+ * 원본 해상도로 내보낼 때 원본 쪽은 사용자가 올린 파일을 그대로 넣는다.
+ */
+async function prepareOutput(item, options) {
+  const sourceType = item.sourceBlob?.type || '';
+  const type = resolveOutputType(options.format, sourceType);
+  const sourceExt = item.fileName.slice(item.baseName.length) || TYPE_EXTENSIONS[type];
+  const keepExt = options.keepOriginalName && type === sourceType;
+  const ext = keepExt ? sourceExt : TYPE_EXTENSIONS[type];
+  const quality = type === 'image/png' ? undefined : options.quality;
+
+  if (options.originalResolution && item.sourceBlob) {
+    const [size] = await readImageSizes([item.sourceBlob]);
+    if (size) {
+      const translated = await encodeImage(item.translatedBlob, { type, quality, ...size });
+      return { original: item.sourceBlob, originalExt: sourceExt, translated, translatedExt: ext };
+    }
+  }
+
+  // 기본 출력(PNG)이면 다시 인코딩할 필요가 없다.
+  if (type === 'image/png') {
+    return { original: item.paddedBlob, originalExt: ext, translated: item.translatedBlob, translatedExt: ext };
+  }
+  return {
+    original: await encodeImage(item.paddedBlob, { type, quality }),
+    originalExt: ext,
+    translated: await encodeImage(item.translatedBlob, { type, quality }),
+    translatedExt: ext,
+  };
+}
+
+/**
+ * 'shopA/item123/01.jpg' → 'shopA/item123/'. 폴더가 없으면 빈 문자열.
+ */
+function getDirectory(relativePath) {
+  const lastSlash = relativePath.lastIndexOf('/');
+  return lastSlash === -1 ? '' : relativePath.slice(0, lastSlash + 1);
+}
+
+function toManifestEntry(item, originalFile, translatedFile) {
+  const durationMs = item.requestedAt && item.finishedAt ? item.finishedAt - item.requestedAt : null;
+  return {
+    source: item.relativePath,
+    status: item.error ? 'failed' : 'done',
+    mode: item.mode,
+    sheetId: item.sheetId,
+    alignment: item.alignment == null ? null : Math.round(item.alignment * 100) / 100,
+    segments: item.segments,
+    originalFile,
+    translatedFile,
+    requestedAt: item.requestedAt ? new Date(item.requestedAt).toISOString() : null,
+    finishedAt: item.finishedAt ? new Date(item.finishedAt).toISOString() : null,
+    durationMs,
+    attempts: item.attempts,
+    cacheHits: item.cacheHits,
+    textBlocks: item.textBlocks ? item.textBlocks.length : null,
+    qaScore: item.quality ? item.quality.score : null,
+    qaStructure: item.quality ? item.quality.structure : null,
+    qaLeftover: item.quality?.leftover.length ? item.quality.leftover.join(' / ') : null,
+    qaRetried: item.quality ? Boolean(item.quality.retried) : null,
+    error: item.error || null,
+  };
+}
+
+const MANIFEST_COLUMNS = [
+  'source',
+  'status',
+  'mode',
+  'sheetId',
+  'alignment',
+  'segments',
+  'originalFile',
+  'translatedFile',
+  'requestedAt',
+  'finishedAt',
+  'durationMs',
+  'attempts',
+  'cacheHits',
+  'textBlocks',
+  'qaScore',
+  'qaStructure',
+  'qaLeftover',
+  'qaRetried',
+  'error',
+];
+
+const TEXT_COLUMNS = ['source', 'block', 'text', 'translation', 'x', 'y', 'width', 'height'];
+
+function toManifestCsv(entries) {
+  return toCsv(MANIFEST_COLUMNS, entries);
+}
+
+/**
+ * 텍스트 추출 결과. 이미지마다 원본 경로와 글자 덩어리(원문·번역·원본 픽셀 기준 위치)를 담는다.
+ */
+function toTextJson(items) {
+  const entries = items.map((item) => ({ source: item.relativePath, blocks: item.textBlocks }));
+  return JSON.stringify(entries, null, 2);
+}
+
+// 한 행에 글자 덩어리 하나. 스프레드시트에서 바로 고칠 수 있게 위치도 열로 펼친다.
+function toTextCsv(items) {
+  const rows = items.flatMap((item) =>
+    item.textBlocks.map((block, index) => ({
+      source: item.relativePath,
+      block: index + 1,
+      text: block.text,
+      translation: block.translation,
+      ...block.box,
+    }))
+  );
+  return toCsv(TEXT_COLUMNS, rows);
+}
+
+function toCsv(columns, entries) {
+  const escape = (value) => {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = [columns, ...entries.map((entry) => columns.map((col) => entry[col]))];
+  // 엑셀에서 한글 경로가 깨지지 않도록 BOM을 붙인다.
+  return `\uFEFF${rows.map((row) => row.map(escape).join(',')).join('\r\n')}\r\n`;
+}
+
+function resolveOutputType(format, sourceType) {
+  if (format === 'source') {
+    return TYPE_EXTENSIONS[sourceType] ? sourceType : 'image/png';
+  }
+  return FORMAT_TYPES[format] || 'image/png';
+}
+
+/**
+ * 항목을 하나씩 받아 곧바로 sink에 쓰는 ZIP 작성기.
+ * 한 항목의 데이터만 메모리에 두고, 크기·오프셋·개수가 32비트 한도를 넘으면 ZIP64 레코드를 쓴다.
+ * @param {{ write: (chunk: Uint8Array|Blob) => Promise<void> }} sink
+ */
+function createZipWriter(sink) {
+  const encoder = new TextEncoder();
+  const entries = [];
+  let offset = 0;
+
+  async function write(chunk) {
+    await sink.write(chunk);
+    offset += chunk instanceof Blob ? chunk.size : chunk.length;
+  }
+
+  /**
+   * @param {string} name - ZIP 안 경로 ('/' 구분)
+   * @param {Blob} blob
+   * @param {{ lastModified?: number }} [options] - 파일 수정 시각(ms)
+   */
+  async function add(name, blob, { lastModified } = {}) {
+    const nameBytes = encoder.encode(name);
+    const modified = new Date(lastModified || Date.now());
+    const { crc, data, method } = await encodeEntryData(blob);
+    const size = blob.size;
+    const compressedSize = data.size;
+    const localHeaderOffset = offset;
+    const zip64 = size >= ZIP64_LIMIT || compressedSize >= ZIP64_LIMIT;
+
+    const extra = concatBytes([
+      zip64 ? zip64Extra([size, compressedSize]) : new Uint8Array(0),
+      timestampExtra(modified),
+    ]);
+
+    const localHeader = new Uint8Array(30 + nameBytes.length + extra.length);
+    const lhView = new DataView(localHeader.buffer);
+    lhView.setUint32(0, 0x04034b50, true);
+    lhView.setUint16(4, zip64 ? 45 : 20, true);
+    lhView.setUint16(6, 0x0800, true); // UTF-8 flag
+    lhView.setUint16(8, method, true);
+    lhView.setUint16(10, getDosTime(modified), true);
+    lhView.setUint16(12, getDosDate(modified), true);
+    lhView.setUint32(14, crc, true);
+    lhView.setUint32(18, zip64 ? ZIP64_LIMIT : compressedSize, true);
+    lhView.setUint32(22, zip64 ? ZIP64_LIMIT : size, true);
+    lhView.setUint16(26, nameBytes.length, true);
+    lhView.setUint16(28, extra.length, true);
+    localHeader.set(nameBytes, 30);
+    localHeader.set(extra, 30 + nameBytes.length);
+
+    await write(localHeader);
+    await write(data);
+
+    entries.push({ nameBytes, crc, method, size, compressedSize, modified, localHeaderOffset });
+  }
+
+  async function finish() {
+    const centralStart = offset;
+
+    for (const entry of entries) {
+      // ZIP64 확장 필드에는 한도를 넘은 값만, 원본 크기 → 압축 크기 → 오프셋 순서로 넣는다.
+      const zip64Values = [];
+      if (entry.size >= ZIP64_LIMIT) zip64Values.push(entry.size);
+      if (entry.compressedSize >= ZIP64_LIMIT) zip64Values.push(entry.compressedSize);
+      if (entry.localHeaderOffset >= ZIP64_LIMIT) zip64Values.push(entry.localHeaderOffset);
+
+      const extra = concatBytes([
+        zip64Values.length ? zip64Extra(zip64Values) : new Uint8Array(0),
+        timestampExtra(entry.modified),
+      ]);
+
+      const central = new Uint8Array(46 + entry.nameBytes.length + extra.length);
+      const cv = new DataView(central.buffer);
+      const version = zip64Values.length ? 45 : 20;
+      cv.setUint32(0, 0x02014b50, true);
+      cv.setUint16(4, version, true);
+      cv.setUint16(6, version, true);
+      cv.setUint16(8, 0x0800, true); // UTF-8 flag
+      cv.setUint16(10, entry.method, true);
+      cv.setUint16(12, getDosTime(entry.modified), true);
+      cv.setUint16(14, getDosDate(entry.modified), true);
+      cv.setUint32(16, entry.crc, true);
+      cv.setUint32(20, Math.min(entry.compressedSize, ZIP64_LIMIT), true);
+      cv.setUint32(24, Math.min(entry.size, ZIP64_LIMIT), true);
+      cv.setUint16(28, entry.nameBytes.length, true);
+      cv.setUint16(30, extra.length, true);
+      cv.setUint16(32, 0, true);
+      cv.setUint16(34, 0, true);
+      cv.setUint16(36, 0, true);
+      cv.setUint32(38, 0, true);
+      cv.setUint32(42, Math.min(entry.localHeaderOffset, ZIP64_LIMIT), true);
+      central.set(entry.nameBytes, 46);
+      central.set(extra, 46 + entry.nameBytes.length);
+
+      await write(central);
+    }
+
+    const centralSize = offset - centralStart;
+    const needsZip64 =
+      entries.length >= ZIP32_MAX_ENTRIES || centralStart >= ZIP64_LIMIT || centralSize >= ZIP64_LIMIT;
+
+    if (needsZip64) {
+      const zip64EndOffset = offset;
+      const zip64End = new Uint8Array(56);
+      const zv = new DataView(zip64End.buffer);
+      zv.setUint32(0, 0x06064b50, true);
+      zv.setBigUint64(4, 44n, true);
+      zv.setUint16(12, 45, true);
+      zv.setUint16(14, 45, true);
+      zv.setUint32(16, 0, true);
+      zv.setUint32(20, 0, true);
+      zv.setBigUint64(24, BigInt(entries.length), true);
+      zv.setBigUint64(32, BigInt(entries.length), true);
+      zv.setBigUint64(40, BigInt(centralSize), true);
+      zv.setBigUint64(48, BigInt(centralStart), true);
+      await write(zip64End);
+
+      const locator = new Uint8Array(20);
+      const lv = new DataView(locator.buffer);
+      lv.setUint32(0, 0x07064b50, true);
+      lv.setUint32(4, 0, true);
+      lv.setBigUint64(8, BigInt(zip64EndOffset), true);
+      lv.setUint32(16, 1, true);
+      await write(locator);
+    }
+
+    const endRecord = new Uint8Array(22);
+    const ev = new DataView(endRecord.buffer);
+    ev.setUint32(0, 0x06054b50, true);
+    ev.setUint16(4, 0, true);
+    ev.setUint16(6, 0, true);
+    // ZIP64를 쓸 때는 모든 값을 최대값으로 채워 리더가 ZIP64 레코드를 보도록 한다.
+    ev.setUint16(8, needsZip64 ? ZIP32_MAX_ENTRIES : entries.length, true);
+    ev.setUint16(10, needsZip64 ? ZIP32_MAX_ENTRIES : entries.length, true);
+    ev.setUint32(12, needsZip64 ? ZIP64_LIMIT : centralSize, true);
+    ev.setUint32(16, needsZip64 ? ZIP64_LIMIT : centralStart, true);
+    ev.setUint16(20, 0, true);
+    await write(endRecord);
+  }
+
+  return { add, finish };
+}
+
+/**
+ * CRC를 계산하고, 줄어드는 경우에만 DEFLATE(raw)로 압축한다.
+ */
+async function encodeEntryData(blob) {
+  const crc = await crc32Blob(blob);
+  if (STORED_TYPES.has(blob.type) || typeof CompressionStream === 'undefined') {
+    return { crc, data: blob, method: 0 };
+  }
+
+  const deflated = await new Response(blob.stream().pipeThrough(new CompressionStream('deflate-raw'))).blob();
+  // 줄지 않았다면 압축 해제 비용만 생기니 원본 그대로 저장한다.
+  if (deflated.size >= blob.size) {
+    return { crc, data: blob, method: 0 };
+  }
+  return { crc, data: deflated, method: 8 };
+}
+
+async function crc32Blob(blob) {
+  const reader = blob.stream().getReader();
+  let crc = -1;
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    for (let i = 0; i < value.length; i += 1) {
+      crc = (crc >>> 8) ^ CRC_TABLE[(crc ^ value[i]) & 0xff];
+    }
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function zip64Extra(values) {
+  const extra = new Uint8Array(4 + values.length * 8);
+  const view = new DataView(extra.buffer);
+  view.setUint16(0, 0x0001, true);
+  view.setUint16(2, values.length * 8, true);
+  values.forEach((value, i) => view.setBigUint64(4 + i * 8, BigInt(value), true));
+  return extra;
+}
+
+/**
+ * 확장 타임스탬프(0x5455). DOS 시간은 2초 단위·로컬 시간이라 UTC 수정 시각을 함께 남긴다.
+ */
+function timestampExtra(date) {
+  const extra = new Uint8Array(9);
+  const view = new DataView(extra.buffer);
+  view.setUint16(0, 0x5455, true);
+  view.setUint16(2, 5, true);
+  view.setUint8(4, 1); // mtime만 포함
+  view.setUint32(5, Math.max(0, Math.floor(date.getTime() / 1000)), true);
+  return extra;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let ptr = 0;
+  for (const part of parts) {
+    out.set(part, ptr);
+    ptr += part.length;
+  }
+  return out;
+}
+
+function getDosTime(d) {
+  const sec = Math.floor(d.getSeconds() / 2);
+  return (d.getHours() << 11) | (d.getMinutes() << 5) | sec;
+}
+
+function getDosDate(d) {
+  // DOS 날짜는 1980년부터 표현할 수 있다.
+  const year = Math.max(1980, d.getFullYear());
+  return ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i += 1) {
+    let c = i;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();